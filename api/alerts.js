@@ -0,0 +1,15 @@
+import { getAlerts } from "../services/alerts.js";
+import { handleOptions, sendData, sendError } from "../lib/http.js";
+
+export default async function handler(req, res) {
+  if (handleOptions(req, res)) return;
+  if (req.method !== "GET") return sendError(req, res, 405, "Method not allowed");
+  try {
+    const query = Object.fromEntries(new URL(req.url, "http://dashboard.local").searchParams);
+    const alerts = await getAlerts(query);
+    return sendData(req, res, "alerts", alerts, "s-maxage=60, stale-while-revalidate=120");
+  } catch (error) {
+    const badRequest = error.message?.startsWith("City not found") || error.message?.startsWith("Invalid");
+    return sendError(req, res, badRequest ? 400 : 502, error.message || "Weather alerts unavailable");
+  }
+}
@@ -0,0 +1,15 @@
+import { getAstronomy } from "../services/astronomy.js";
+import { handleOptions, sendData, sendError } from "../lib/http.js";
+
+export default async function handler(req, res) {
+  if (handleOptions(req, res)) return;
+  if (req.method !== "GET") return sendError(req, res, 405, "Method not allowed");
+  try {
+    const query = Object.fromEntries(new URL(req.url, "http://dashboard.local").searchParams);
+    const astronomy = await getAstronomy(query);
+    return sendData(req, res, "astronomy", astronomy, "s-maxage=3600, stale-while-revalidate=86400");
+  } catch (error) {
+    const badRequest = error.message?.startsWith("City not found") || error.message?.startsWith("Invalid");
+    return sendError(req, res, badRequest ? 400 : 502, error.message || "Astronomy unavailable");
+  }
+}
@@ -0,0 +1,41 @@
+// api/commute/batch.js
+// GET  /api/commute/batch?pairs=a>b|c>d  or  ?origins=a|b&destinations=c|d
+// POST { "pairs": [{ "from": "...", "to": "..." }] } or { "origins": [...], "destinations": [...] }
+// Accepts the same profile, geocoding and route options as /api/commute.
+
+import { getCommuteBatch } from "../../services/commute.js";
+import { handleOptions, readJsonBody, sendError, setCors } from "../../lib/http.js";
+
+const METHODS = "GET,POST,OPTIONS";
+
+function errorStatus(message) {
+  if (message.startsWith("Ambiguous")) return 409;
+  if (message.endsWith("not configured")) return 503;
+  if (message.startsWith("Provide") || message.startsWith("Invalid") || message.startsWith("Unknown place")) return 400;
+  return 502;
+}
+
+export default async function handler(req, res) {
+  if (handleOptions(req, res, METHODS)) return;
+  if (req.method !== "GET" && req.method !== "POST") return sendError(req, res, 405, "Method not allowed");
+
+  try {
+    const query = Object.fromEntries(new URL(req.url, "http://dashboard.local").searchParams);
+    let body = {};
+    if (req.method === "POST") {
+      try {
+        body = await readJsonBody(req);
+      } catch {
+        return sendError(req, res, 400, "Invalid JSON body");
+      }
+    }
+    const out = await getCommuteBatch(query, body);
+    setCors(req, res, METHODS);
+    res.setHeader("Cache-Control", req.method === "GET" ? "s-maxage=120, stale-while-revalidate=600" : "no-store");
+    return res.status(200).json(out);
+  } catch (err) {
+    console.error("commute batch api error:", err);
+    const message = err?.message || "Commute batch unavailable";
+    return sendError(req, res, errorStatus(message), message, err?.results ? { results: err.results } : {});
+  }
+}
@@ -0,0 +1,18 @@
+import { runCacheRefresh } from "../../services/cron.js";
+import { isAuthorized, sendError, setCors } from "../../lib/http.js";
+
+// Vercel Cron calls this with "Authorization: Bearer $CRON_SECRET". It stays
+// closed when the secret is unset, since each run spends upstream quota.
+export default async function handler(req, res) {
+  if (req.method !== "GET") return sendError(req, res, 405, "Method not allowed");
+  if (!process.env.CRON_SECRET) return sendError(req, res, 503, "Cron refresh is not configured");
+  if (!isAuthorized(req, process.env.CRON_SECRET)) return sendError(req, res, 401, "Unauthorized");
+  try {
+    const run = await runCacheRefresh();
+    setCors(req, res);
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).json(run);
+  } catch (error) {
+    return sendError(req, res, 500, error.message || "Cron refresh failed");
+  }
+}
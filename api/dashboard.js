@@ -1,32 +1,51 @@
 import { getWeather } from "../services/weather.js";
 import { getMarkets } from "../services/markets.js";
 import { getTraffic } from "../services/traffic.js";
+import { getCrypto, getFx } from "../services/currencies.js";
 import { handleOptions, sendError, setCors } from "../lib/http.js";
 import { withDeadline } from "../lib/request.js";
 
+const OPTIONAL_SECTIONS = {
+  crypto: { load: getCrypto, deadline: 5200, label: "Crypto" },
+  fx: { load: getFx, deadline: 5200, label: "FX" }
+};
+
 function settledValue(result) {
   return result.status === "fulfilled" ? result.value : null;
 }
 
+// Optional sections join when listed in include= or when their own list
+// parameter (crypto=, fx=) is present.
+function optionalSections(query) {
+  const included = String(query.include || "").split(",").map((name) => name.trim().toLowerCase());
+  return Object.keys(OPTIONAL_SECTIONS).filter((name) => included.includes(name) || query[name]);
+}
+
 export default async function handler(req, res) {
   if (handleOptions(req, res)) return;
   if (req.method !== "GET") return sendError(req, res, 405, "Method not allowed");
   try {
     const query = Object.fromEntries(new URL(req.url, "http://dashboard.local").searchParams);
+    const optional = optionalSections(query);
     const results = await Promise.allSettled([
       withDeadline(getWeather(query), 6200, "Weather"),
       withDeadline(getMarkets(query), 5200, "Markets"),
-      withDeadline(getTraffic(query), 6200, "Traffic")
+      withDeadline(getTraffic(query), 6200, "Traffic"),
+      ...optional.map((name) => {
+        const section = OPTIONAL_SECTIONS[name];
+        return withDeadline(section.load(query), section.deadline, section.label);
+      })
     ]);
     const payload = {
       updated_iso: new Date().toISOString(),
       weather: settledValue(results[0]),
       markets: settledValue(results[1]),
       traffic: settledValue(results[2]),
+      ...Object.fromEntries(optional.map((name, index) => [name, settledValue(results[3 + index])])),
       partial: results.some((result) => result.status === "rejected"),
       errors: results.map((result) => result.status === "rejected" ? result.reason?.message || "Unavailable" : null)
     };
-    if (!payload.weather && !payload.markets && !payload.traffic) {
+    if (results.every((result) => result.status === "rejected")) {
       return sendError(req, res, 503, "All dashboard sources are temporarily unavailable");
     }
     setCors(req, res);
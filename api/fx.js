@@ -0,0 +1,14 @@
+import { getFx } from "../services/currencies.js";
+import { handleOptions, sendData, sendError } from "../lib/http.js";
+
+export default async function handler(req, res) {
+  if (handleOptions(req, res)) return;
+  if (req.method !== "GET") return sendError(req, res, 405, "Method not allowed");
+  try {
+    const query = Object.fromEntries(new URL(req.url, "http://dashboard.local").searchParams);
+    const quotes = await getFx({ ...query, fx: query.fx || query.symbols });
+    return sendData(req, res, "fx", quotes, "s-maxage=120, stale-while-revalidate=900");
+  } catch (error) {
+    return sendError(req, res, error.message?.startsWith("Invalid") ? 400 : 502, error.message || "FX quotes unavailable");
+  }
+}
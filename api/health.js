@@ -1,20 +1,17 @@
-import { setCors } from "../lib/http.js";
+import { getHealth } from "../services/health.js";
+import { sendError, setCors } from "../lib/http.js";
 
-export default function handler(req, res) {
-  setCors(req, res);
-  res.setHeader("Cache-Control", "no-store");
-  res.status(200).json({
-    ok: true,
-    service: "altay-dashboard-data-api",
-    timestamp: new Date().toISOString(),
-    configured: {
-      weather: true,
-      markets: Boolean(process.env.TWELVEDATA_API_KEY),
-      traffic: Boolean(process.env.TOMTOM_API_KEY || process.env.TOMTOM_KEY),
-      cache: Boolean(
-        (process.env.UPSTASH_REDIS_REST_URL || process.env.KV_REST_API_URL) &&
-        (process.env.UPSTASH_REDIS_REST_TOKEN || process.env.KV_REST_API_TOKEN)
-      )
-    }
-  });
+// ?deep=1 probes upstreams and answers 503 when the service is down, so an
+// uptime monitor can alert on the status code alone.
+export default async function handler(req, res) {
+  try {
+    const query = Object.fromEntries(new URL(req.url, "http://dashboard.local").searchParams);
+    const health = await getHealth(query);
+    setCors(req, res);
+    res.setHeader("Cache-Control", "no-store");
+    if (health.status) res.setHeader("X-Health-Status", health.status);
+    return res.status(health.status === "down" ? 503 : 200).json(health);
+  } catch (error) {
+    return sendError(req, res, 500, error.message || "Health check failed");
+  }
 }
@@ -0,0 +1,22 @@
+import { getIncidents, incidentsGeoJson } from "../services/incidents.js";
+import { handleOptions, sendData, sendError, setCors } from "../lib/http.js";
+
+export default async function handler(req, res) {
+  if (handleOptions(req, res)) return;
+  if (req.method !== "GET") return sendError(req, res, 405, "Method not allowed");
+  try {
+    const query = Object.fromEntries(new URL(req.url, "http://dashboard.local").searchParams);
+    const incidents = await getIncidents(query);
+    if (query.format === "geojson") {
+      setCors(req, res);
+      res.setHeader("Cache-Control", "s-maxage=120, stale-while-revalidate=600");
+      res.setHeader("Content-Type", "application/geo+json; charset=utf-8");
+      return res.status(200).send(JSON.stringify(incidentsGeoJson(incidents)));
+    }
+    return sendData(req, res, "incidents", incidents, "s-maxage=120, stale-while-revalidate=600");
+  } catch (error) {
+    if (error.message?.startsWith("Unknown traffic corridor")) return sendError(req, res, 400, error.message);
+    if (error.message?.endsWith("not configured")) return sendError(req, res, 503, error.message);
+    return sendError(req, res, 502, error.message || "Traffic incidents unavailable");
+  }
+}
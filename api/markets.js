@@ -9,6 +9,6 @@ export default async function handler(req, res) {
     const markets = await getMarkets(query);
     return sendData(req, res, "markets", markets, "s-maxage=300, stale-while-revalidate=21600");
   } catch (error) {
-    return sendError(req, res, 502, error.message || "Markets unavailable");
+    return sendError(req, res, error.message?.startsWith("Invalid market") ? 400 : 502, error.message || "Markets unavailable");
   }
 }
@@ -0,0 +1,45 @@
+import { deletePlace, getPlaces, savePlaces } from "../services/places.js";
+import { handleOptions, isAuthorized, readJsonBody, sendError, setCors } from "../lib/http.js";
+
+const METHODS = "GET,POST,PUT,DELETE,OPTIONS";
+
+function errorStatus(message) {
+  if (message.startsWith("Ambiguous")) return 409;
+  if (message.endsWith("not configured")) return 503;
+  if (message.startsWith("Unknown place")) return 404;
+  if (message.startsWith("Provide") || message.startsWith("Invalid")) return 400;
+  return 502;
+}
+
+export default async function handler(req, res) {
+  if (handleOptions(req, res, METHODS)) return;
+  if (!["GET", "POST", "PUT", "DELETE"].includes(req.method)) return sendError(req, res, 405, "Method not allowed");
+  if (req.method !== "GET") {
+    if (!process.env.PLACES_TOKEN) return sendError(req, res, 503, "Places writes are not configured");
+    if (!isAuthorized(req, process.env.PLACES_TOKEN)) return sendError(req, res, 401, "Unauthorized");
+  }
+
+  try {
+    const query = Object.fromEntries(new URL(req.url, "http://dashboard.local").searchParams);
+    let out;
+    if (req.method === "GET") {
+      out = await getPlaces(query, { detailed: isAuthorized(req, process.env.PLACES_TOKEN) });
+    } else if (req.method === "DELETE") {
+      out = await deletePlace(query);
+    } else {
+      let body;
+      try {
+        body = await readJsonBody(req);
+      } catch {
+        return sendError(req, res, 400, "Invalid JSON body");
+      }
+      out = await savePlaces(query, body);
+    }
+    setCors(req, res, METHODS);
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).json(out);
+  } catch (error) {
+    const message = error?.message || "Places unavailable";
+    return sendError(req, res, errorStatus(message), message, error?.candidates ? { candidates: error.candidates } : {});
+  }
+}
@@ -0,0 +1,16 @@
+import { suggestPlaces } from "../../services/places.js";
+import { handleOptions, sendData, sendError } from "../../lib/http.js";
+
+export default async function handler(req, res) {
+  if (handleOptions(req, res)) return;
+  if (req.method !== "GET") return sendError(req, res, 405, "Method not allowed");
+  try {
+    const query = Object.fromEntries(new URL(req.url, "http://dashboard.local").searchParams);
+    const suggestions = await suggestPlaces(query);
+    return sendData(req, res, "place_suggestions", suggestions, "s-maxage=300, stale-while-revalidate=3600");
+  } catch (error) {
+    if (error.message?.startsWith("Invalid")) return sendError(req, res, 400, error.message);
+    if (error.message?.endsWith("not configured")) return sendError(req, res, 503, error.message);
+    return sendError(req, res, 502, error.message || "Place suggestions unavailable");
+  }
+}
@@ -9,6 +9,6 @@ export default async function handler(req, res) {
     const traffic = await getTraffic(query);
     return sendData(req, res, "traffic", traffic, "s-maxage=120, stale-while-revalidate=900");
   } catch (error) {
-    return sendError(req, res, 502, error.message || "Traffic unavailable");
+    return sendError(req, res, error.message?.startsWith("Unknown traffic corridor") ? 400 : 502, error.message || "Traffic unavailable");
   }
 }
@@ -0,0 +1,14 @@
+import { getTrafficHistory } from "../../services/traffic-history.js";
+import { handleOptions, sendData, sendError } from "../../lib/http.js";
+
+export default async function handler(req, res) {
+  if (handleOptions(req, res)) return;
+  if (req.method !== "GET") return sendError(req, res, 405, "Method not allowed");
+  try {
+    const query = Object.fromEntries(new URL(req.url, "http://dashboard.local").searchParams);
+    const history = await getTrafficHistory(query);
+    return sendData(req, res, "traffic_history", history, "s-maxage=300, stale-while-revalidate=900");
+  } catch (error) {
+    return sendError(req, res, error.message?.startsWith("Unknown traffic corridor") ? 400 : 502, error.message || "Traffic history unavailable");
+  }
+}
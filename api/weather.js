@@ -1,4 +1,4 @@
-import { getWeather } from "../services/weather.js";
+import { getWeather, validateWeatherQuery } from "../services/weather.js";
 import { handleOptions, sendData, sendError } from "../lib/http.js";
 
 export default async function handler(req, res) {
@@ -6,9 +6,11 @@ export default async function handler(req, res) {
   if (req.method !== "GET") return sendError(req, res, 405, "Method not allowed");
   try {
     const query = Object.fromEntries(new URL(req.url, "http://dashboard.local").searchParams);
+    validateWeatherQuery(query);
     const weather = await getWeather(query);
     return sendData(req, res, "weather", weather, "s-maxage=300, stale-while-revalidate=1800");
   } catch (error) {
-    return sendError(req, res, error.message?.startsWith("City not found") ? 400 : 502, error.message || "Weather unavailable");
+    const badRequest = error.message?.startsWith("City not found") || error.message?.startsWith("Invalid");
+    return sendError(req, res, badRequest ? 400 : 502, error.message || "Weather unavailable");
   }
 }
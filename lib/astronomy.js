@@ -0,0 +1,162 @@
+// Sun and moon positions from the low-precision formulae in Meeus'
+// "Astronomical Algorithms" (the same ones SunCalc uses); good to about a
+// minute for rise and set times, which is plenty for a dashboard.
+const RAD = Math.PI / 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const OBLIQUITY = 23.4397 * RAD;
+const SUN_DISTANCE_KM = 149598000;
+
+// Altitudes (degrees) that start and end each sun event.
+export const SUN_ANGLES = {
+  sunrise: -0.833,
+  civil: -6,
+  nautical: -12,
+  golden: 6
+};
+
+function toDays(date) {
+  return date.valueOf() / DAY_MS - 0.5 + J1970 - J2000;
+}
+
+function fromJulian(julian) {
+  return new Date((julian + 0.5 - J1970) * DAY_MS);
+}
+
+function rightAscension(longitude, latitude) {
+  return Math.atan2(Math.sin(longitude) * Math.cos(OBLIQUITY) - Math.tan(latitude) * Math.sin(OBLIQUITY), Math.cos(longitude));
+}
+
+function declination(longitude, latitude) {
+  return Math.asin(Math.sin(latitude) * Math.cos(OBLIQUITY) + Math.cos(latitude) * Math.sin(OBLIQUITY) * Math.sin(longitude));
+}
+
+function altitude(hourAngle, phi, dec) {
+  return Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(hourAngle));
+}
+
+function siderealTime(days, lw) {
+  return RAD * (280.16 + 360.9856235 * days) - lw;
+}
+
+function solarMeanAnomaly(days) {
+  return RAD * (357.5291 + 0.98560028 * days);
+}
+
+function eclipticLongitude(anomaly) {
+  const center = RAD * (1.9148 * Math.sin(anomaly) + 0.02 * Math.sin(2 * anomaly) + 0.0003 * Math.sin(3 * anomaly));
+  return anomaly + center + RAD * 102.9372 + Math.PI;
+}
+
+function sunCoords(days) {
+  const longitude = eclipticLongitude(solarMeanAnomaly(days));
+  return { dec: declination(longitude, 0), ra: rightAscension(longitude, 0) };
+}
+
+function moonCoords(days) {
+  const meanLongitude = RAD * (218.316 + 13.176396 * days);
+  const anomaly = RAD * (134.963 + 13.064993 * days);
+  const node = RAD * (93.272 + 13.229350 * days);
+  const longitude = meanLongitude + RAD * 6.289 * Math.sin(anomaly);
+  const latitude = RAD * 5.128 * Math.sin(node);
+  return {
+    ra: rightAscension(longitude, latitude),
+    dec: declination(longitude, latitude),
+    dist: 385001 - 20905 * Math.cos(anomaly)
+  };
+}
+
+// Times (Date) at which the sun crosses each angle in SUN_ANGLES on the solar
+// day whose noon is nearest `date`. A null rise/set pair means the sun never
+// reaches that angle; `polar` says which way round.
+export function sunTimes(date, lat, lon) {
+  const lw = -lon * RAD;
+  const phi = lat * RAD;
+  const cycle = Math.round(toDays(date) - 0.0009 - lw / (2 * Math.PI));
+  const approxTransit = (hourAngle) => 0.0009 + (hourAngle + lw) / (2 * Math.PI) + cycle;
+  const anomaly = solarMeanAnomaly(approxTransit(0));
+  const longitude = eclipticLongitude(anomaly);
+  const dec = declination(longitude, 0);
+  const transit = (days) => J2000 + days + 0.0053 * Math.sin(anomaly) - 0.0069 * Math.sin(2 * longitude);
+  const noon = transit(approxTransit(0));
+  const noonAltitude = altitude(0, phi, dec) / RAD;
+
+  const events = {};
+  for (const [name, angle] of Object.entries(SUN_ANGLES)) {
+    const cosine = (Math.sin(angle * RAD) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec));
+    if (cosine < -1 || cosine > 1) {
+      events[name] = { rise: null, set: null, polar: cosine < -1 ? "day" : "night" };
+      continue;
+    }
+    const set = transit(approxTransit(Math.acos(cosine)));
+    events[name] = { rise: fromJulian(noon - (set - noon)), set: fromJulian(set), polar: null };
+  }
+  return { solarNoon: fromJulian(noon), noonAltitude, events };
+}
+
+// phase runs 0 (new) → 0.5 (full) → 1; fraction is the lit part of the disc.
+export function moonIllumination(date) {
+  const days = toDays(date);
+  const sun = sunCoords(days);
+  const moon = moonCoords(days);
+  const elongation = Math.acos(Math.sin(sun.dec) * Math.sin(moon.dec)
+    + Math.cos(sun.dec) * Math.cos(moon.dec) * Math.cos(sun.ra - moon.ra));
+  const incidence = Math.atan2(SUN_DISTANCE_KM * Math.sin(elongation), moon.dist - SUN_DISTANCE_KM * Math.cos(elongation));
+  const angle = Math.atan2(Math.cos(sun.dec) * Math.sin(sun.ra - moon.ra),
+    Math.sin(sun.dec) * Math.cos(moon.dec) - Math.cos(sun.dec) * Math.sin(moon.dec) * Math.cos(sun.ra - moon.ra));
+  return {
+    fraction: (1 + Math.cos(incidence)) / 2,
+    phase: 0.5 + 0.5 * incidence * (angle < 0 ? -1 : 1) / Math.PI
+  };
+}
+
+function moonAltitude(date, lat, lon) {
+  const days = toDays(date);
+  const moon = moonCoords(days);
+  const height = altitude(siderealTime(days, -lon * RAD) - moon.ra, lat * RAD, moon.dec);
+  // Atmospheric refraction, clamped near the horizon.
+  const clamped = Math.max(height, 0);
+  return height + 0.0002967 / Math.tan(clamped + 0.00312536 / (clamped + 0.08901179));
+}
+
+// Scans [start, end) an hour at a time and fits a parabola through each
+// three-point window to find horizon crossings of the moon's upper limb.
+export function moonTimes(start, end, lat, lon) {
+  const horizon = 0.133 * RAD;
+  const at = (hours) => moonAltitude(new Date(start.valueOf() + hours * 60 * 60 * 1000), lat, lon) - horizon;
+  const span = (end.valueOf() - start.valueOf()) / (60 * 60 * 1000);
+  let rise = null;
+  let set = null;
+  let previous = at(0);
+  for (let hour = 1; hour <= span && (rise == null || set == null); hour += 2) {
+    const middle = at(hour);
+    const next = at(hour + 1);
+    const a = (previous + next) / 2 - middle;
+    const b = (next - previous) / 2;
+    const vertex = -b / (2 * a);
+    const extreme = (a * vertex + b) * vertex + middle;
+    const discriminant = b * b - 4 * a * middle;
+    const roots = [];
+    if (discriminant >= 0) {
+      const delta = Math.sqrt(discriminant) / (Math.abs(a) * 2);
+      for (const root of [vertex - delta, vertex + delta]) {
+        if (Math.abs(root) <= 1 && hour + root < span) roots.push(root);
+      }
+    }
+    for (const root of roots) {
+      const rising = roots.length === 2 ? (root === roots[0]) === (extreme > 0) : previous < 0;
+      const when = new Date(start.valueOf() + (hour + root) * 60 * 60 * 1000);
+      if (rising && rise == null) rise = when;
+      if (!rising && set == null) set = when;
+    }
+    previous = next;
+  }
+  const upAtStart = at(0) > 0;
+  return {
+    rise,
+    set,
+    alwaysUp: rise == null && set == null && upAtStart,
+    alwaysDown: rise == null && set == null && !upAtStart
+  };
+}
@@ -0,0 +1,103 @@
+import {
+  cacheDel, cacheExpire, cacheGet, cacheIncr, cacheListPush, cacheListRange, cacheSet, cacheSetIfAbsent
+} from "./cache.js";
+
+// Per-host circuit breakers shared by every instance through the cache.
+// BREAKER_THRESHOLD failures within BREAKER_WINDOW_SECONDS open the breaker;
+// while open, calls fail at once. After BREAKER_COOLDOWN_SECONDS a single
+// probe is let through (half-open): success closes it, failure re-opens it.
+const PREFIX = "altay-dashboard:breaker:v1";
+const HOSTS_KEY = `${PREFIX}:hosts`;
+const THRESHOLD = envNumber("BREAKER_THRESHOLD", 5);
+const WINDOW_SECONDS = envNumber("BREAKER_WINDOW_SECONDS", 60);
+const COOLDOWN_SECONDS = envNumber("BREAKER_COOLDOWN_SECONDS", 30);
+const PROBE_TTL_SECONDS = 10;
+const STATE_RETENTION_SECONDS = 24 * 60 * 60;
+// Shared state is re-read at most this often per instance, so a healthy host
+// costs one cache read every few seconds rather than one per request.
+const LOCAL_TTL_MS = 5000;
+
+const local = new Map();
+
+function envNumber(name, fallback) {
+  const number = Number(process.env[name]);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+const stateKey = (host) => `${PREFIX}:state:${host}`;
+const failuresKey = (host) => `${PREFIX}:failures:${host}`;
+const probeKey = (host) => `${PREFIX}:probe:${host}`;
+
+function remember(host, state, failures = 0) {
+  local.set(host, { state, failures, readAt: Date.now() });
+  return state;
+}
+
+async function stateFor(host) {
+  const known = local.get(host);
+  if (known && Date.now() - known.readAt < LOCAL_TTL_MS) return known.state;
+  return remember(host, await cacheGet(stateKey(host)) || { state: "closed" }, known?.failures);
+}
+
+function circuitOpen(host, breaker) {
+  return new Error(`Upstream circuit open for ${host} until ${breaker.until_iso}${breaker.last_error ? ` (${breaker.last_error})` : ""}`);
+}
+
+// Throws while the breaker is open; otherwise the call may proceed.
+export async function beforeRequest(host) {
+  const breaker = await stateFor(host);
+  if (breaker.state !== "open") return;
+  if (Date.parse(breaker.until_iso) > Date.now()) throw circuitOpen(host, breaker);
+  // false means another caller holds the probe. null means the store is out,
+  // and the state read falls back to closed then anyway, so the call proceeds.
+  if (await cacheSetIfAbsent(probeKey(host), 1, PROBE_TTL_SECONDS) === false) throw circuitOpen(host, breaker);
+}
+
+export async function recordSuccess(host) {
+  const known = local.get(host);
+  if (known?.state.state === "closed" && !known.failures) return;
+  await Promise.all([
+    cacheSet(stateKey(host), { state: "closed", closed_iso: new Date().toISOString() }, STATE_RETENTION_SECONDS),
+    cacheDel(failuresKey(host)),
+    cacheDel(probeKey(host))
+  ]);
+  remember(host, { state: "closed" });
+}
+
+export async function recordFailure(host, message) {
+  const failures = await cacheIncr(failuresKey(host)) ?? 1;
+  if (failures === 1) {
+    await Promise.all([cacheExpire(failuresKey(host), WINDOW_SECONDS), cacheListPush(HOSTS_KEY, host, 100, 7 * 24 * 60 * 60)]);
+  }
+  const current = await stateFor(host);
+  const probing = current.state === "open" && Date.parse(current.until_iso) <= Date.now();
+  if (failures < THRESHOLD && !probing) {
+    remember(host, current, failures);
+    return;
+  }
+  const now = Date.now();
+  const opened = {
+    state: "open",
+    failures,
+    opened_iso: new Date(now).toISOString(),
+    until_iso: new Date(now + COOLDOWN_SECONDS * 1000).toISOString(),
+    last_error: String(message || "").slice(0, 160) || null
+  };
+  await Promise.all([cacheSet(stateKey(host), opened, STATE_RETENTION_SECONDS), cacheDel(probeKey(host))]);
+  remember(host, opened, failures);
+}
+
+// Every host that has failed recently, with its current breaker state.
+export async function breakerStatus() {
+  const hosts = [...new Set(await cacheListRange(HOSTS_KEY))];
+  return Promise.all(hosts.map(async (host) => {
+    const [breaker, failures] = await Promise.all([cacheGet(stateKey(host)), cacheGet(failuresKey(host))]);
+    const open = breaker?.state === "open";
+    return {
+      host,
+      state: open ? (Date.parse(breaker.until_iso) > Date.now() ? "open" : "half_open") : "closed",
+      recent_failures: Number(failures) || 0,
+      ...(open && { opened_iso: breaker.opened_iso, until_iso: breaker.until_iso, last_error: breaker.last_error })
+    };
+  }));
+}
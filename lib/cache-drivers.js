@@ -0,0 +1,323 @@
+import { createHash } from "node:crypto";
+import { mkdir, readFile, rename, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// Every driver stores strings (lib/cache.js does the JSON) and implements:
+//   get(key) → string | null
+//   getWithTtl(key) → { value, ttlMs } (ttlMs null when the key never expires)
+//   set(key, value, { ttlSeconds, ifAbsent }) → boolean (false when ifAbsent lost)
+//   del(key) → boolean
+//   delIfEquals(key, value) → boolean (atomic compare-and-delete, for locks)
+//   incr(key, by) → number
+//   expire(key, ttlSeconds) → boolean
+//   listPush(key, values, { maxLength, ttlSeconds }) → boolean
+//   listRange(key, start, stop) → string[]
+// Options may carry timeoutMs, which only the REST driver uses. A store that
+// cannot be reached throws, so a lost ifAbsent is never confused with an outage.
+
+function listSlice(list, start, stop) {
+  const from = start < 0 ? Math.max(0, list.length + start) : start;
+  const to = stop < 0 ? list.length + stop : stop;
+  return list.slice(from, to + 1);
+}
+
+function expiresAt(ttlSeconds) {
+  return ttlSeconds ? Date.now() + ttlSeconds * 1000 : null;
+}
+
+function restCredentials() {
+  const url = process.env.UPSTASH_REDIS_REST_URL || process.env.KV_REST_API_URL;
+  const token = process.env.UPSTASH_REDIS_REST_TOKEN || process.env.KV_REST_API_TOKEN;
+  return url && token ? { url: url.replace(/\/$/, ""), token } : null;
+}
+
+export function hasRestCredentials() {
+  return Boolean(restCredentials());
+}
+
+// The store is called with a plain timed fetch, not lib/request.js: retries
+// and circuit breakers keep their state in this cache.
+function storeFetch(url, options, timeoutMs) {
+  return fetch(url, { ...options, signal: AbortSignal.timeout(timeoutMs) });
+}
+
+// Deletes KEYS[1] only while it still holds ARGV[1].
+const DELETE_IF_EQUALS_SCRIPT = 'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end';
+
+// Upstash / Vercel KV over HTTP. Without credentials it reads nothing and
+// refuses writes, which is how the cache behaved before drivers existed; an
+// ifAbsent write throws instead, since no lock can be taken.
+export function restDriver() {
+  async function command(parts, timeoutMs = 700) {
+    const config = restCredentials();
+    if (!config) return null;
+    const response = await storeFetch(`${config.url}/${parts.map(encodeURIComponent).join("/")}`, {
+      headers: { Authorization: `Bearer ${config.token}` }
+    }, timeoutMs);
+    if (!response.ok) throw new Error(`Cache HTTP ${response.status}`);
+    const payload = await response.json();
+    if (payload?.error) throw new Error(payload.error);
+    return payload?.result ?? null;
+  }
+
+  async function pipeline(commands, timeoutMs = 700) {
+    const config = restCredentials();
+    if (!config) return null;
+    const response = await storeFetch(`${config.url}/pipeline`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${config.token}`, "Content-Type": "application/json" },
+      body: JSON.stringify(commands)
+    }, timeoutMs);
+    if (!response.ok) throw new Error(`Cache HTTP ${response.status}`);
+    const payload = await response.json();
+    const failed = Array.isArray(payload) ? payload.find((entry) => entry?.error) : { error: "Malformed pipeline response" };
+    if (failed) throw new Error(failed.error);
+    return payload.map((entry) => entry?.result ?? null);
+  }
+
+  return {
+    name: "rest",
+    async get(key, { timeoutMs } = {}) {
+      return command(["get", key], timeoutMs);
+    },
+    async getWithTtl(key, { timeoutMs } = {}) {
+      const [value = null, ttlMs = -2] = await pipeline([["get", key], ["pttl", key]], timeoutMs) || [];
+      return { value, ttlMs: Number(ttlMs) >= 0 ? Number(ttlMs) : null };
+    },
+    async set(key, value, { ttlSeconds, ifAbsent, timeoutMs } = {}) {
+      if (ifAbsent && !restCredentials()) throw new Error("Cache is not configured");
+      const parts = ["set", key, value];
+      if (ttlSeconds) parts.push("ex", String(ttlSeconds));
+      if (ifAbsent) parts.push("nx");
+      return await command(parts, timeoutMs) === "OK";
+    },
+    async del(key, { timeoutMs } = {}) {
+      return Number(await command(["del", key], timeoutMs)) > 0;
+    },
+    async delIfEquals(key, value, { timeoutMs } = {}) {
+      return Number(await command(["eval", DELETE_IF_EQUALS_SCRIPT, "1", key, value], timeoutMs)) > 0;
+    },
+    async incr(key, by = 1, { timeoutMs } = {}) {
+      return Number(await command(["incrby", key, String(by)], timeoutMs));
+    },
+    async expire(key, ttlSeconds, { timeoutMs } = {}) {
+      return Number(await command(["expire", key, String(ttlSeconds)], timeoutMs)) > 0;
+    },
+    async listPush(key, values, { maxLength, ttlSeconds, timeoutMs } = {}) {
+      const commands = [["rpush", key, ...values]];
+      if (maxLength) commands.push(["ltrim", key, String(-maxLength), "-1"]);
+      if (ttlSeconds) commands.push(["expire", key, String(ttlSeconds)]);
+      return await pipeline(commands, timeoutMs) != null;
+    },
+    async listRange(key, start, stop, { timeoutMs } = {}) {
+      const result = await command(["lrange", key, String(start), String(stop)], timeoutMs);
+      return Array.isArray(result) ? result : [];
+    }
+  };
+}
+
+// Per-instance LRU. A Map keeps insertion order, so re-inserting on read
+// moves a key to the back and the first key is always the eviction victim.
+export function memoryDriver({ maxEntries = 500 } = {}) {
+  const entries = new Map();
+
+  function read(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry;
+  }
+
+  function write(key, entry) {
+    entries.delete(key);
+    entries.set(key, entry);
+    while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+  }
+
+  return {
+    name: "memory",
+    async get(key) {
+      const entry = read(key);
+      return entry && !Array.isArray(entry.value) ? entry.value : null;
+    },
+    async getWithTtl(key) {
+      const entry = read(key);
+      return {
+        value: entry && !Array.isArray(entry.value) ? entry.value : null,
+        ttlMs: entry?.expiresAt ? entry.expiresAt - Date.now() : null
+      };
+    },
+    async set(key, value, { ttlSeconds, ifAbsent } = {}) {
+      if (ifAbsent && read(key)) return false;
+      write(key, { value, expiresAt: expiresAt(ttlSeconds) });
+      return true;
+    },
+    async del(key) {
+      return entries.delete(key);
+    },
+    async delIfEquals(key, value) {
+      return read(key)?.value === value && entries.delete(key);
+    },
+    async incr(key, by = 1) {
+      const entry = read(key);
+      const value = Number(entry?.value || 0) + by;
+      write(key, { value: String(value), expiresAt: entry?.expiresAt ?? null });
+      return value;
+    },
+    async expire(key, ttlSeconds) {
+      const entry = read(key);
+      if (!entry) return false;
+      entry.expiresAt = expiresAt(ttlSeconds);
+      return true;
+    },
+    async listPush(key, values, { maxLength, ttlSeconds } = {}) {
+      const entry = read(key);
+      const list = [...(Array.isArray(entry?.value) ? entry.value : []), ...values];
+      write(key, {
+        value: maxLength ? list.slice(-maxLength) : list,
+        expiresAt: ttlSeconds ? expiresAt(ttlSeconds) : entry?.expiresAt ?? null
+      });
+      return true;
+    },
+    async listRange(key, start, stop) {
+      const entry = read(key);
+      return Array.isArray(entry?.value) ? listSlice(entry.value, start, stop) : [];
+    }
+  };
+}
+
+// One JSON file per key, for `vercel dev` where each request may run in a
+// fresh process. Read-modify-write is not atomic across processes, which is
+// fine for a single developer but not for production traffic.
+export function fileDriver({ dir = join(tmpdir(), "altay-dashboard-cache") } = {}) {
+  const pathFor = (key) => join(dir, `${createHash("sha1").update(key).digest("hex")}.json`);
+
+  async function read(key) {
+    try {
+      const entry = JSON.parse(await readFile(pathFor(key), "utf8"));
+      if (entry.expires_at && entry.expires_at <= Date.now()) {
+        await rm(pathFor(key), { force: true });
+        return null;
+      }
+      return entry;
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async function write(key, value, expires) {
+    await mkdir(dir, { recursive: true });
+    const target = pathFor(key);
+    const temporary = `${target}.${process.pid}.${Date.now()}.tmp`;
+    await writeFile(temporary, JSON.stringify({ key, value, expires_at: expires }));
+    await rename(temporary, target);
+  }
+
+  return {
+    name: "file",
+    async get(key) {
+      const entry = await read(key);
+      return entry && !Array.isArray(entry.value) ? entry.value : null;
+    },
+    async getWithTtl(key) {
+      const entry = await read(key);
+      return {
+        value: entry && !Array.isArray(entry.value) ? entry.value : null,
+        ttlMs: entry?.expires_at ? entry.expires_at - Date.now() : null
+      };
+    },
+    async set(key, value, { ttlSeconds, ifAbsent } = {}) {
+      if (ifAbsent && await read(key)) return false;
+      await write(key, value, expiresAt(ttlSeconds));
+      return true;
+    },
+    async del(key) {
+      const existed = Boolean(await read(key));
+      await rm(pathFor(key), { force: true });
+      return existed;
+    },
+    async delIfEquals(key, value) {
+      if ((await read(key))?.value !== value) return false;
+      await rm(pathFor(key), { force: true });
+      return true;
+    },
+    async incr(key, by = 1) {
+      const entry = await read(key);
+      const value = Number(entry?.value || 0) + by;
+      await write(key, String(value), entry?.expires_at ?? null);
+      return value;
+    },
+    async expire(key, ttlSeconds) {
+      const entry = await read(key);
+      if (!entry) return false;
+      await write(key, entry.value, expiresAt(ttlSeconds));
+      return true;
+    },
+    async listPush(key, values, { maxLength, ttlSeconds } = {}) {
+      const entry = await read(key);
+      const list = [...(Array.isArray(entry?.value) ? entry.value : []), ...values];
+      await write(key, maxLength ? list.slice(-maxLength) : list, ttlSeconds ? expiresAt(ttlSeconds) : entry?.expires_at ?? null);
+      return true;
+    },
+    async listRange(key, start, stop) {
+      const entry = await read(key);
+      return Array.isArray(entry?.value) ? listSlice(entry.value, start, stop) : [];
+    }
+  };
+}
+
+// Memory in front of a shared store. Plain values are read through the front
+// tier for at most frontTtlSeconds, and never past their expiry in the back
+// store, so writes from other instances show up within that window; counters,
+// locks and lists always go to the back store, as do keys matching
+// passThrough(key) whose changes must be seen at once (coordination state).
+export function tieredDriver(front, back, { frontTtlSeconds = 30, passThrough = () => false } = {}) {
+  const frontTtl = (ttlSeconds) => (ttlSeconds ? Math.min(ttlSeconds, frontTtlSeconds) : frontTtlSeconds);
+
+  return {
+    name: `${front.name}+${back.name}`,
+    async get(key, options) {
+      if (passThrough(key)) return back.get(key, options);
+      const cached = await front.get(key);
+      if (cached != null) return cached;
+      const { value, ttlMs } = await back.getWithTtl(key, options);
+      const ttlSeconds = ttlMs == null ? frontTtlSeconds : Math.min(frontTtlSeconds, ttlMs / 1000);
+      if (value != null && ttlSeconds > 0) await front.set(key, value, { ttlSeconds });
+      return value;
+    },
+    async getWithTtl(key, options) {
+      return back.getWithTtl(key, options);
+    },
+    async set(key, value, options = {}) {
+      const stored = await back.set(key, value, options);
+      if (stored && !passThrough(key)) await front.set(key, value, { ttlSeconds: frontTtl(options.ttlSeconds) });
+      else await front.del(key);
+      return stored;
+    },
+    async del(key, options) {
+      await front.del(key);
+      return back.del(key, options);
+    },
+    async delIfEquals(key, value, options) {
+      await front.del(key);
+      return back.delIfEquals(key, value, options);
+    },
+    async incr(key, by, options) {
+      await front.del(key);
+      return back.incr(key, by, options);
+    },
+    async expire(key, ttlSeconds, options) {
+      await front.del(key);
+      return back.expire(key, ttlSeconds, options);
+    },
+    listPush: (key, values, options) => back.listPush(key, values, options),
+    listRange: (key, start, stop, options) => back.listRange(key, start, stop, options)
+  };
+}
@@ -1,50 +1,107 @@
-import { fetchWithTimeout } from "./request.js";
+import { fileDriver, hasRestCredentials, memoryDriver, restDriver, tieredDriver } from "./cache-drivers.js";
 
-function credentials() {
-  const url = process.env.UPSTASH_REDIS_REST_URL || process.env.KV_REST_API_URL;
-  const token = process.env.UPSTASH_REDIS_REST_TOKEN || process.env.KV_REST_API_TOKEN;
-  return url && token ? { url: url.replace(/\/$/, ""), token } : null;
+// Breaker state and locks coordinate instances, so they skip the memory tier.
+const BREAKER_PREFIX = "altay-dashboard:breaker:";
+
+// CACHE_DRIVER picks the store: "rest" (Upstash / Vercel KV), "memory",
+// "file" (CACHE_DIR, for vercel dev) or "tiered" (memory in front of REST).
+// Unset, REST is used when credentials exist and memory otherwise.
+const DRIVERS = {
+  rest: () => restDriver(),
+  memory: () => memoryDriver({ maxEntries: positiveNumber(process.env.CACHE_MEMORY_MAX_ENTRIES, 500) }),
+  file: () => fileDriver(process.env.CACHE_DIR ? { dir: process.env.CACHE_DIR } : {}),
+  tiered: () => tieredDriver(DRIVERS.memory(), restDriver(), {
+    frontTtlSeconds: positiveNumber(process.env.CACHE_MEMORY_TTL_SECONDS, 30),
+    passThrough: (key) => key.startsWith(BREAKER_PREFIX) || key.endsWith(":lock")
+  })
+};
+
+let selected = null;
+
+function positiveNumber(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
 }
 
-async function command(parts, timeoutMs) {
-  const config = credentials();
-  if (!config) return null;
-  const response = await fetchWithTimeout(`${config.url}/${parts.map(encodeURIComponent).join("/")}`, {
-    headers: { Authorization: `Bearer ${config.token}` }
-  }, timeoutMs);
-  if (!response.ok) throw new Error(`Cache HTTP ${response.status}`);
-  const payload = await response.json();
-  if (payload?.error) throw new Error(payload.error);
-  return payload?.result ?? null;
+function driver() {
+  const name = String(process.env.CACHE_DRIVER || "").trim().toLowerCase() || (hasRestCredentials() ? "rest" : "memory");
+  if (selected?.key !== name) {
+    if (!DRIVERS[name]) throw new Error(`Unknown CACHE_DRIVER: ${name}`);
+    selected = { key: name, driver: DRIVERS[name]() };
+  }
+  return selected.driver;
 }
 
-export async function cacheGet(key, timeoutMs = 700) {
+export function cacheDriverName() {
   try {
-    const result = await command(["get", key], timeoutMs);
-    if (typeof result !== "string") return result;
-    try {
-      return JSON.parse(result);
-    } catch {
-      return result;
-    }
-  } catch (error) {
-    console.warn(`Cache read failed for ${key}:`, error?.message || error);
-    return null;
+    return driver().name;
+  } catch {
+    return "invalid";
   }
 }
 
-export async function cacheSet(key, value, ttlSeconds, timeoutMs = 700) {
+function parseValue(value) {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+// Cache failures never fail a request: reads fall back to null, writes to false.
+async function attempt(description, key, fallback, operation) {
   try {
-    const parts = ["set", key, JSON.stringify(value)];
-    if (ttlSeconds) parts.push("ex", String(ttlSeconds));
-    if (await command(parts, timeoutMs) == null && !credentials()) return false;
-    return true;
+    return await operation(driver());
   } catch (error) {
-    console.warn(`Cache write failed for ${key}:`, error?.message || error);
-    return false;
+    console.warn(`Cache ${description} failed for ${key}:`, error?.message || error);
+    return fallback;
   }
 }
 
+export async function cacheGet(key, timeoutMs = 700) {
+  return attempt("read", key, null, async (store) => parseValue(await store.get(key, { timeoutMs })));
+}
+
+export async function cacheSet(key, value, ttlSeconds, timeoutMs = 700) {
+  return attempt("write", key, false, (store) => store.set(key, JSON.stringify(value), { ttlSeconds, timeoutMs }));
+}
+
+// Writes only when the key is missing; the building block for locks. Resolves
+// false when the key exists and null when the store could not be reached.
+export async function cacheSetIfAbsent(key, value, ttlSeconds, timeoutMs = 700) {
+  return attempt("write", key, null, (store) => store.set(key, JSON.stringify(value), { ttlSeconds, ifAbsent: true, timeoutMs }));
+}
+
+export async function cacheDel(key, timeoutMs = 700) {
+  return attempt("delete", key, false, (store) => store.del(key, { timeoutMs }));
+}
+
+// Deletes the key only while it still holds value, in one step on the store.
+export async function cacheDelIfEquals(key, value, timeoutMs = 700) {
+  return attempt("delete", key, false, (store) => store.delIfEquals(key, JSON.stringify(value), { timeoutMs }));
+}
+
+export async function cacheIncr(key, by = 1, timeoutMs = 700) {
+  return attempt("increment", key, null, (store) => store.incr(key, by, { timeoutMs }));
+}
+
+export async function cacheExpire(key, ttlSeconds, timeoutMs = 700) {
+  return attempt("expire", key, false, (store) => store.expire(key, ttlSeconds, { timeoutMs }));
+}
+
+// Appends to a capped list: only the newest maxLength entries are kept, and the
+// whole list expires ttlSeconds after its latest write.
+export async function cacheListPush(key, values, maxLength, ttlSeconds, timeoutMs = 700) {
+  const items = (Array.isArray(values) ? values : [values]).map((value) => JSON.stringify(value));
+  if (!items.length) return true;
+  return attempt("list write", key, false, (store) => store.listPush(key, items, { maxLength, ttlSeconds, timeoutMs }));
+}
+
+export async function cacheListRange(key, start = 0, stop = -1, timeoutMs = 700) {
+  return attempt("list read", key, [], async (store) => (await store.listRange(key, start, stop, { timeoutMs })).map(parseValue));
+}
+
 export function ageInSeconds(value) {
   const timestamp = Date.parse(value?.updated_iso || value?.cached_at || "");
   return Number.isFinite(timestamp) ? Math.max(0, (Date.now() - timestamp) / 1000) : Infinity;
@@ -0,0 +1,75 @@
+// WMO weather interpretation codes as used by Open-Meteo, decoded once on the
+// server so every client shows the same text and icon.
+const CODES = {
+  0: { icon: "clear", en: "Clear sky", es: "Despejado" },
+  1: { icon: "mostly-clear", en: "Mainly clear", es: "Mayormente despejado" },
+  2: { icon: "partly-cloudy", en: "Partly cloudy", es: "Parcialmente nublado" },
+  3: { icon: "overcast", en: "Overcast", es: "Cubierto" },
+  45: { icon: "fog", en: "Fog", es: "Niebla" },
+  48: { icon: "fog", en: "Freezing fog", es: "Niebla helada" },
+  51: { icon: "drizzle", en: "Light drizzle", es: "Llovizna ligera" },
+  53: { icon: "drizzle", en: "Drizzle", es: "Llovizna" },
+  55: { icon: "drizzle", en: "Heavy drizzle", es: "Llovizna intensa" },
+  56: { icon: "freezing-drizzle", en: "Light freezing drizzle", es: "Llovizna helada ligera" },
+  57: { icon: "freezing-drizzle", en: "Freezing drizzle", es: "Llovizna helada" },
+  61: { icon: "rain", en: "Light rain", es: "Lluvia ligera" },
+  63: { icon: "rain", en: "Rain", es: "Lluvia" },
+  65: { icon: "rain", en: "Heavy rain", es: "Lluvia intensa" },
+  66: { icon: "freezing-rain", en: "Light freezing rain", es: "Lluvia helada ligera" },
+  67: { icon: "freezing-rain", en: "Freezing rain", es: "Lluvia helada" },
+  71: { icon: "snow", en: "Light snow", es: "Nevada ligera" },
+  73: { icon: "snow", en: "Snow", es: "Nevada" },
+  75: { icon: "snow", en: "Heavy snow", es: "Nevada intensa" },
+  77: { icon: "snow", en: "Snow grains", es: "Granos de nieve" },
+  80: { icon: "showers", en: "Light showers", es: "Chubascos ligeros" },
+  81: { icon: "showers", en: "Showers", es: "Chubascos" },
+  82: { icon: "showers", en: "Heavy showers", es: "Chubascos intensos" },
+  85: { icon: "snow-showers", en: "Light snow showers", es: "Chubascos de nieve ligeros" },
+  86: { icon: "snow-showers", en: "Snow showers", es: "Chubascos de nieve" },
+  95: { icon: "thunderstorm", en: "Thunderstorm", es: "Tormenta eléctrica" },
+  96: { icon: "thunderstorm-hail", en: "Thunderstorm with hail", es: "Tormenta con granizo" },
+  99: { icon: "thunderstorm-hail", en: "Thunderstorm with heavy hail", es: "Tormenta con granizo intenso" }
+};
+const DAY_NIGHT_ICONS = new Set(["clear", "mostly-clear", "partly-cloudy", "showers", "snow-showers"]);
+const UNKNOWN = { icon: "unknown", en: "Unknown", es: "Desconocido" };
+
+const PHRASES = {
+  en: {
+    today: "Today",
+    tomorrow: "Tomorrow",
+    high: (value) => `high ${value}`,
+    low: (value) => `low ${value}`,
+    precipitation: (percent) => `${percent}% chance of precipitation`
+  },
+  es: {
+    today: "Hoy",
+    tomorrow: "Mañana",
+    high: (value) => `máxima de ${value}`,
+    low: (value) => `mínima de ${value}`,
+    precipitation: (percent) => `${percent} % de probabilidad de precipitación`
+  }
+};
+
+export const LANGUAGES = Object.keys(PHRASES);
+
+export const UNIT_SYSTEMS = {
+  imperial: { temperature: "fahrenheit", wind_speed: "mph", precipitation: "inch", labels: { temperature: "°F", wind_speed: "mph", precipitation: "in" } },
+  metric: { temperature: "celsius", wind_speed: "kmh", precipitation: "mm", labels: { temperature: "°C", wind_speed: "km/h", precipitation: "mm" } }
+};
+
+// isDay follows Open-Meteo's is_day (1/0); a missing value counts as day.
+export function condition(code, isDay = 1, lang = "en") {
+  const entry = CODES[code] || UNKNOWN;
+  const suffix = DAY_NIGHT_ICONS.has(entry.icon) ? (isDay === 0 ? "-night" : "-day") : "";
+  return { code: Number.isFinite(code) ? code : null, text: entry[lang] || entry.en, icon: `${entry.icon}${suffix}` };
+}
+
+export function forecastSentence(day, which, lang = "en", temperatureLabel = "°F") {
+  const phrases = PHRASES[lang] || PHRASES.en;
+  const degrees = (value) => `${Math.round(value)}${lang === "es" ? " " : ""}${temperatureLabel}`;
+  const parts = [condition(day.code, 1, lang).text];
+  if (Number.isFinite(day.max)) parts.push(phrases.high(degrees(day.max)));
+  if (Number.isFinite(day.min)) parts.push(phrases.low(degrees(day.min)));
+  if (Number.isFinite(day.precipitation) && day.precipitation > 0) parts.push(phrases.precipitation(Math.round(day.precipitation)));
+  return `${phrases[which]}: ${parts.join(", ")}.`;
+}
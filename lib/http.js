@@ -1,13 +1,15 @@
-export function setCors(req, res) {
+import { createHash, timingSafeEqual } from "node:crypto";
+
+export function setCors(req, res, methods = "GET,OPTIONS") {
   const allowedOrigin = process.env.DASHBOARD_ORIGIN || "*";
   res.setHeader("Access-Control-Allow-Origin", allowedOrigin);
-  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Accept, Content-Type");
+  res.setHeader("Access-Control-Allow-Methods", methods);
+  res.setHeader("Access-Control-Allow-Headers", "Accept, Content-Type, Authorization");
   res.setHeader("Vary", "Origin, Accept");
 }
 
-export function handleOptions(req, res) {
-  setCors(req, res);
+export function handleOptions(req, res, methods) {
+  setCors(req, res, methods);
   if (req.method === "OPTIONS") {
     res.status(204).end();
     return true;
@@ -39,6 +41,22 @@ export function sendData(req, res, key, value, cacheControl = "s-maxage=120, sta
   return res.status(200).json(value);
 }
 
+// Fails closed: without a configured secret nothing is authorized. Both sides
+// are hashed first so timingSafeEqual compares equal-length buffers.
+export function isAuthorized(req, secret) {
+  if (!secret) return false;
+  const digest = (value) => createHash("sha256").update(value).digest();
+  return timingSafeEqual(digest(String(req.headers?.authorization || "")), digest(`Bearer ${secret}`));
+}
+
+export async function readJsonBody(req) {
+  if (req.body && typeof req.body === "object") return req.body;
+  if (typeof req.body === "string") return req.body ? JSON.parse(req.body) : {};
+  let raw = "";
+  for await (const chunk of req) raw += chunk;
+  return raw ? JSON.parse(raw) : {};
+}
+
 export function sendError(req, res, status, message, extra = {}) {
   setCors(req, res);
   res.setHeader("Cache-Control", "no-store");
@@ -0,0 +1,126 @@
+import { addDays, zonedInstant, zonedParts } from "./time.js";
+
+// NYSE calendar computed from the exchange's published holiday rules, so the
+// market-hours logic works offline and never needs a yearly data refresh.
+const MARKET_TIMEZONE = "America/New_York";
+const PRE_MARKET_OPEN = 4 * 60;
+const REGULAR_OPEN = 9 * 60 + 30;
+const REGULAR_CLOSE = 16 * 60;
+const EARLY_CLOSE = 13 * 60;
+const EXTENDED_HOURS = 4 * 60;
+const calendars = new Map();
+
+function dayKey(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+}
+
+function weekday(key) {
+  return new Date(`${key}T00:00:00Z`).getUTCDay();
+}
+
+function nthWeekday(year, month, day, nth) {
+  const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+  return dayKey(year, month, 1 + ((day - first + 7) % 7) + (nth - 1) * 7);
+}
+
+function lastWeekday(year, month, day) {
+  const last = new Date(Date.UTC(year, month, 0));
+  return dayKey(year, month, last.getUTCDate() - ((last.getUTCDay() - day + 7) % 7));
+}
+
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  return dayKey(year, month, ((h + l - 7 * m + 114) % 31) + 1);
+}
+
+// Saturday holidays move to Friday and Sunday holidays to Monday, except that
+// the exchange never closes on December 31 for a Saturday New Year's Day.
+function observed(year, month, day) {
+  const key = dayKey(year, month, day);
+  if (weekday(key) === 0) return addDays(key, 1);
+  if (weekday(key) === 6) return month === 1 && day === 1 ? null : addDays(key, -1);
+  return key;
+}
+
+function buildCalendar(year) {
+  const holidays = new Map([
+    [observed(year, 1, 1), "New Year's Day"],
+    [nthWeekday(year, 1, 1, 3), "Martin Luther King Jr. Day"],
+    [nthWeekday(year, 2, 1, 3), "Washington's Birthday"],
+    [addDays(easterSunday(year), -2), "Good Friday"],
+    [lastWeekday(year, 5, 1), "Memorial Day"],
+    [year >= 2022 ? observed(year, 6, 19) : null, "Juneteenth"],
+    [observed(year, 7, 4), "Independence Day"],
+    [nthWeekday(year, 9, 1, 1), "Labor Day"],
+    [nthWeekday(year, 11, 4, 4), "Thanksgiving Day"],
+    [observed(year, 12, 25), "Christmas Day"]
+  ].filter(([key]) => key));
+  const earlyCloses = new Map([
+    [dayKey(year, 7, 3), "Independence Day eve"],
+    [addDays(nthWeekday(year, 11, 4, 4), 1), "Day after Thanksgiving"],
+    [dayKey(year, 12, 24), "Christmas Eve"]
+  ].filter(([key]) => weekday(key) > 0 && weekday(key) < 6 && !holidays.has(key)));
+  return { holidays, earlyCloses };
+}
+
+function calendarFor(key) {
+  const year = Number(key.slice(0, 4));
+  if (!calendars.has(year)) calendars.set(year, buildCalendar(year));
+  return calendars.get(year);
+}
+
+export function holidayName(key) {
+  return calendarFor(key).holidays.get(key) || null;
+}
+
+export function isTradingDay(key) {
+  const day = weekday(key);
+  return day > 0 && day < 6 && !holidayName(key);
+}
+
+function closeMinutes(key) {
+  return calendarFor(key).earlyCloses.has(key) ? EARLY_CLOSE : REGULAR_CLOSE;
+}
+
+function nextTradingDay(key) {
+  let next = addDays(key, 1);
+  while (!isTradingDay(next)) next = addDays(next, 1);
+  return next;
+}
+
+export function marketSession(date = new Date()) {
+  const { date: key, minutes } = zonedParts(date, MARKET_TIMEZONE);
+  const trading = isTradingDay(key);
+  const close = closeMinutes(key);
+  let session = "closed";
+  if (trading && minutes >= PRE_MARKET_OPEN && minutes < REGULAR_OPEN) session = "pre";
+  else if (trading && minutes >= REGULAR_OPEN && minutes < close) session = "regular";
+  else if (trading && minutes >= close && minutes < close + EXTENDED_HOURS) session = "post";
+
+  const openDay = trading && minutes < REGULAR_OPEN ? key : nextTradingDay(key);
+  const closeDay = trading && minutes < close ? key : nextTradingDay(key);
+  return {
+    session,
+    trading_day: trading,
+    holiday: holidayName(key),
+    early_close: trading && close === EARLY_CLOSE ? calendarFor(key).earlyCloses.get(key) : null,
+    next_open_iso: zonedInstant(openDay, REGULAR_OPEN, MARKET_TIMEZONE).toISOString(),
+    next_close_iso: zonedInstant(closeDay, closeMinutes(closeDay), MARKET_TIMEZONE).toISOString()
+  };
+}
+
+export function marketIsOpen(date = new Date()) {
+  return marketSession(date).session === "regular";
+}
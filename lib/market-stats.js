@@ -0,0 +1,68 @@
+const TRADING_DAYS_PER_YEAR = 252;
+
+function round(value, digits = 4) {
+  return Number.isFinite(value) ? Number(value.toFixed(digits)) : null;
+}
+
+function percentFrom(value, reference) {
+  return reference ? ((value - reference) / reference) * 100 : null;
+}
+
+export function sma(closes, window) {
+  if (closes.length < window) return null;
+  return closes.slice(-window).reduce((sum, close) => sum + close, 0) / window;
+}
+
+// Seeded with the SMA of the first window, the usual charting convention.
+export function ema(closes, window) {
+  if (closes.length < window) return null;
+  const weight = 2 / (window + 1);
+  let value = sma(closes.slice(0, window), window);
+  for (const close of closes.slice(window)) value = close * weight + value * (1 - weight);
+  return value;
+}
+
+export function realizedVolatility(closes, window) {
+  const sample = closes.slice(-(window + 1));
+  if (sample.length < 3) return null;
+  const returns = sample.slice(1).map((close, index) => Math.log(close / sample[index]));
+  const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+  const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1);
+  return Math.sqrt(variance * TRADING_DAYS_PER_YEAR) * 100;
+}
+
+export function maxDrawdown(points) {
+  let peak = points[0];
+  let worst = { pct: 0, peak_date: peak?.date ?? null, trough_date: peak?.date ?? null };
+  for (const point of points) {
+    if (point.close > peak.close) peak = point;
+    const drawdown = percentFrom(point.close, peak.close);
+    if (drawdown < worst.pct) worst = { pct: drawdown, peak_date: peak.date, trough_date: point.date };
+  }
+  return { ...worst, pct: round(worst.pct) };
+}
+
+export function marketStats(points, { smaWindows, emaWindows, volatilityWindow }) {
+  const year = points.slice(-TRADING_DAYS_PER_YEAR);
+  if (year.length < 2) return null;
+  const closes = year.map((point) => point.close);
+  const price = closes.at(-1);
+  const high = Math.max(...closes);
+  const low = Math.min(...closes);
+  return {
+    as_of: year.at(-1).date,
+    observations: year.length,
+    sma: Object.fromEntries(smaWindows.map((window) => [window, round(sma(closes, window))])),
+    ema: Object.fromEntries(emaWindows.map((window) => [window, round(ema(closes, window))])),
+    volatility: {
+      window: volatilityWindow,
+      annualized_pct: round(realizedVolatility(closes, volatilityWindow)),
+      full_period_pct: round(realizedVolatility(closes, closes.length - 1))
+    },
+    high_52w: high,
+    low_52w: low,
+    from_high_pct: round(percentFrom(price, high)),
+    from_low_pct: round(percentFrom(price, low)),
+    max_drawdown: maxDrawdown(year)
+  };
+}
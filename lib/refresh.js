@@ -0,0 +1,161 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { waitUntil } from "@vercel/functions";
+import { ageInSeconds, cacheDelIfEquals, cacheGet, cacheSet, cacheSetIfAbsent } from "./cache.js";
+
+// Shared read-through refresh for cached upstream data:
+//   age < softTtlSeconds              → served from cache
+//   softTtlSeconds ≤ age < hardTtl    → served from cache, refreshed in the background
+//   older, missing or fresh=1         → refreshed before responding
+// Concurrent refreshes of one key share a promise within an instance, and a
+// lock key in the cache keeps other instances from refreshing it at the same time.
+const LOCK_TTL_SECONDS = 20;
+const LOCK_WAIT_MS = 2500;
+const LOCK_POLL_MS = 250;
+
+// Foreground and background flights are kept apart: a background flight ends
+// with null when a peer holds the lock, which a foreground caller must not see.
+const inFlight = new Map();
+const inBackground = new Map();
+const tracking = new AsyncLocalStorage();
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Runs `run` under the cache lock for key. { ran: false } means another
+// instance holds the lock. When the store cannot be reached no instance can
+// hold one either, so the refresh goes ahead (still single-flight here).
+async function withLock(key, run) {
+  const lockKey = `${key}:lock`;
+  const token = `${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  const acquired = await cacheSetIfAbsent(lockKey, token, LOCK_TTL_SECONDS);
+  if (acquired === false) return { ran: false };
+  if (acquired === null) return { ran: true, value: await run() };
+  try {
+    return { ran: true, value: await run() };
+  } finally {
+    // Compare-and-delete, so a lock that expired and was re-taken is left alone.
+    await cacheDelIfEquals(lockKey, token);
+  }
+}
+
+async function store(key, load, cached, retentionSeconds) {
+  const value = await load(cached);
+  await cacheSet(key, value, retentionSeconds);
+  return value;
+}
+
+function singleFlight(flights, key, run) {
+  if (!flights.has(key)) {
+    flights.set(key, run().finally(() => flights.delete(key)));
+  }
+  return flights.get(key);
+}
+
+// Another instance holds the lock: wait a moment for its result to land.
+async function awaitPeer(key, cached, softTtlSeconds) {
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  while (Date.now() < deadline) {
+    await sleep(LOCK_POLL_MS);
+    const value = await cacheGet(key);
+    if (value && value.updated_iso !== cached?.updated_iso && ageInSeconds(value) < softTtlSeconds) return value;
+  }
+  return null;
+}
+
+// While a peer holds the lock nobody else calls upstream: a slow peer leaves
+// the stale copy in place, and only with nothing cached and the lock gone (the
+// peer failed) does this instance fetch for itself.
+function refreshNow(key, load, cached, options) {
+  return singleFlight(inFlight, key, async () => {
+    const attempt = await withLock(key, () => store(key, load, cached, options.retentionSeconds));
+    if (attempt.ran) return attempt.value;
+    const peer = await awaitPeer(key, cached, options.softTtlSeconds);
+    if (peer) return peer;
+    if (cached) return { ...cached, stale: true };
+    if (await cacheGet(`${key}:lock`) != null) throw new Error(`Refresh of ${key} is still running elsewhere`);
+    return store(key, load, cached, options.retentionSeconds);
+  });
+}
+
+function refreshInBackground(key, load, cached, options) {
+  if (inFlight.has(key) || inBackground.has(key)) return;
+  const refresh = singleFlight(inBackground, key, async () => {
+    const attempt = await withLock(key, () => store(key, load, cached, options.retentionSeconds));
+    return attempt.ran ? attempt.value : null;
+  }).catch((error) => console.warn(`Background refresh failed for ${key}:`, error?.message || error));
+  // Keeps the function alive past the response on Vercel; elsewhere the
+  // promise simply runs for as long as the process does.
+  waitUntil(refresh);
+}
+
+// Runs `run` with every cachedRefresh inside it refreshing in the foreground
+// (nothing is left to the background) and counts what each one did; used by
+// the cron pre-warmer to tell fresh data from refreshed or failed data.
+export async function trackRefreshes(run) {
+  const report = { fresh: 0, refreshed: 0, failed: 0 };
+  const value = await tracking.run(report, run);
+  return { value, ...report };
+}
+
+// load(cached) returns the new value, which must carry updated_iso. When the
+// refresh fails, the cached copy comes back marked stale (staleOnError) or the
+// error is rethrown. `usable` rejects cached values of an outdated shape.
+// With wait: false a refresh never holds up the caller: past the hard TTL the
+// cached copy (or null) comes back at once while the refresh runs behind it.
+export async function cachedRefresh(key, load, {
+  softTtlSeconds,
+  hardTtlSeconds = softTtlSeconds,
+  retentionSeconds = 24 * 60 * 60,
+  fresh = false,
+  staleOnError = true,
+  wait = true,
+  usable = (value) => value != null
+} = {}) {
+  const stored = await cacheGet(key);
+  const cached = usable(stored) ? stored : null;
+  const age = cached ? ageInSeconds(cached) : Infinity;
+  const options = { softTtlSeconds, retentionSeconds };
+  const report = tracking.getStore();
+
+  if (!fresh && age < softTtlSeconds) {
+    if (report) report.fresh += 1;
+    return cached;
+  }
+  if (!fresh && age < hardTtlSeconds && !report) {
+    refreshInBackground(key, load, cached, options);
+    return cached;
+  }
+  if (!wait && !report) {
+    refreshInBackground(key, load, cached, options);
+    return cached && { ...cached, stale: true };
+  }
+  try {
+    const value = await refreshNow(key, load, cached, options);
+    if (report) report.refreshed += 1;
+    return value;
+  } catch (error) {
+    if (report) report.failed += 1;
+    if (cached && staleOnError) return { ...cached, stale: true, error: error.message };
+    throw error;
+  }
+}
+
+// Summarises cached entries for /api/health: "fresh" inside the soft TTL,
+// "aging" while they would be served and refreshed in the background,
+// "stale" past the hard TTL and "missing" when nothing is cached.
+export function describeFreshness(values, softTtlSeconds, hardTtlSeconds = softTtlSeconds) {
+  const present = values.filter(Boolean);
+  if (!present.length) return { state: "missing", updated_iso: null, age_sec: null, partial: false };
+  const oldest = present.reduce((a, b) => (ageInSeconds(b) > ageInSeconds(a) ? b : a));
+  const age = ageInSeconds(oldest);
+  let state = "stale";
+  if (age < softTtlSeconds) state = "fresh";
+  else if (age < hardTtlSeconds) state = "aging";
+  return {
+    state,
+    updated_iso: oldest.updated_iso || null,
+    age_sec: Number.isFinite(age) ? Math.round(age) : null,
+    partial: present.length < values.length || present.some((value) => value.partial)
+  };
+}
@@ -1,9 +1,14 @@
+import { beforeRequest, recordFailure, recordSuccess } from "./breaker.js";
+
+// options.signal lets the caller cancel as well; the timeout still applies.
 export async function fetchWithTimeout(url, options = {}, timeoutMs = 4500) {
   const controller = new AbortController();
   const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const signal = options.signal ? AbortSignal.any([controller.signal, options.signal]) : controller.signal;
   try {
-    return await fetch(url, { ...options, signal: controller.signal });
+    return await fetch(url, { ...options, signal });
   } catch (error) {
+    if (options.signal?.aborted) throw new Error(`Cancelled fetching ${new URL(url).hostname}`);
     if (error?.name === "AbortError") {
       throw new Error(`Timed out fetching ${new URL(url).hostname}`);
     }
@@ -13,8 +18,70 @@ export async function fetchWithTimeout(url, options = {}, timeoutMs = 4500) {
   }
 }
 
+// FETCH_RETRIES extra attempts for idempotent requests (default 1), on network
+// errors, timeouts, 429 and 5xx. Waits use full jitter on an exponential step,
+// or Retry-After on a 429; timeoutMs bounds all attempts together.
+const RETRIES = Number.isInteger(Number(process.env.FETCH_RETRIES)) && Number(process.env.FETCH_RETRIES) >= 0
+  ? Number(process.env.FETCH_RETRIES)
+  : 1;
+const RETRY_BASE_MS = 250;
+const MIN_ATTEMPT_MS = 500;
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD"]);
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function retryDelay(attempt, response) {
+  const header = response?.status === 429 ? response.headers.get("retry-after") : null;
+  if (header) {
+    const seconds = Number(header);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(header) - Date.now();
+    if (Number.isFinite(ms)) return Math.max(0, ms);
+  }
+  return Math.random() * RETRY_BASE_MS * 2 ** attempt;
+}
+
+// fetchWithTimeout plus retries and the host's circuit breaker. Only the final
+// outcome of a call counts towards the breaker, and a 429 never does: rate
+// limits are per route or per key, and the host itself is answering. A call
+// the caller cancelled through options.signal is neither retried nor counted.
+export async function fetchWithRetry(url, options = {}, timeoutMs = 4500) {
+  const { retries, ...fetchOptions } = options;
+  const host = new URL(url).hostname;
+  const method = String(fetchOptions.method || "GET").toUpperCase();
+  const attempts = 1 + (retries ?? (IDEMPOTENT_METHODS.has(method) ? RETRIES : 0));
+  const deadline = Date.now() + timeoutMs;
+  await beforeRequest(host);
+
+  for (let attempt = 0; ; attempt += 1) {
+    let response = null;
+    let failure;
+    try {
+      response = await fetchWithTimeout(url, fetchOptions, Math.max(1, deadline - Date.now()));
+      if (!RETRYABLE_STATUS.has(response.status)) {
+        await recordSuccess(host);
+        return response;
+      }
+      failure = new Error(`Upstream HTTP ${response.status}`);
+    } catch (error) {
+      if (fetchOptions.signal?.aborted) throw error;
+      failure = error;
+    }
+    const delay = retryDelay(attempt, response);
+    if (attempt + 1 >= attempts || Date.now() + delay + MIN_ATTEMPT_MS > deadline) {
+      if (response?.status !== 429) await recordFailure(host, failure.message);
+      if (response) return response;
+      throw failure;
+    }
+    await response?.body?.cancel();
+    await sleep(delay);
+  }
+}
+
 export async function fetchJson(url, options = {}, timeoutMs = 4500) {
-  const response = await fetchWithTimeout(url, options, timeoutMs);
+  const response = await fetchWithRetry(url, options, timeoutMs);
   const text = await response.text();
   if (!response.ok) throw new Error(`Upstream HTTP ${response.status}: ${text.slice(0, 180)}`);
   try {
@@ -25,7 +92,7 @@ export async function fetchJson(url, options = {}, timeoutMs = 4500) {
 }
 
 export async function fetchText(url, options = {}, timeoutMs = 4500) {
-  const response = await fetchWithTimeout(url, options, timeoutMs);
+  const response = await fetchWithRetry(url, options, timeoutMs);
   const text = await response.text();
   if (!response.ok) throw new Error(`Upstream HTTP ${response.status}: ${text.slice(0, 180)}`);
   return text;
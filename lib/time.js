@@ -0,0 +1,59 @@
+const formatters = new Map();
+
+function formatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      weekday: "short",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23"
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+export function isValidTimezone(timezone) {
+  try {
+    formatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function zonedParts(date, timezone) {
+  const parts = Object.fromEntries(formatter(timezone).formatToParts(date)
+    .filter((part) => part.type !== "literal")
+    .map((part) => [part.type, part.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: parts.weekday,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+// Converts a wall-clock time in the zone to an instant; two correction passes
+// settle the offset even when the guess lands on the other side of a DST switch.
+export function zonedInstant(localDate, minutes, timezone) {
+  const wall = Date.parse(`${localDate}T00:00:00Z`) + minutes * 60 * 1000;
+  let instant = wall;
+  for (let pass = 0; pass < 2; pass += 1) {
+    const parts = zonedParts(new Date(instant), timezone);
+    instant += wall - (Date.parse(`${parts.date}T00:00:00Z`) + parts.minutes * 60 * 1000);
+  }
+  return new Date(instant);
+}
+
+export function addDays(localDate, days) {
+  return new Date(Date.parse(`${localDate}T00:00:00Z`) + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// "YYYY-MM-DDTHH:MM" in the zone, the format Open-Meteo uses for local times.
+export function localDateTime(date, timezone) {
+  const parts = zonedParts(new Date(date), timezone);
+  return `${parts.date}T${String(Math.floor(parts.minutes / 60)).padStart(2, "0")}:${String(parts.minutes % 60).padStart(2, "0")}`;
+}
@@ -0,0 +1,104 @@
+import { cachedRefresh } from "../lib/refresh.js";
+import { fetchJson } from "../lib/request.js";
+
+// Open-Meteo's air-quality model refreshes hourly, so it keeps its own,
+// longer TTL than the forecast and a separate stale copy.
+const CACHE_TTL_SECONDS = 30 * 60;
+const STALE_TTL_SECONDS = 2 * 60 * 60;
+const CACHE_RETENTION_SECONDS = 24 * 60 * 60;
+const POLLEN_FIELDS = ["alder_pollen", "birch_pollen", "grass_pollen", "mugwort_pollen", "olive_pollen", "ragweed_pollen"];
+
+const US_AQI_LEVELS = [
+  [50, "Good"],
+  [100, "Moderate"],
+  [150, "Unhealthy for sensitive groups"],
+  [200, "Unhealthy"],
+  [300, "Very unhealthy"],
+  [Infinity, "Hazardous"]
+];
+const EU_AQI_LEVELS = [
+  [20, "Good"],
+  [40, "Fair"],
+  [60, "Moderate"],
+  [80, "Poor"],
+  [100, "Very poor"],
+  [Infinity, "Extremely poor"]
+];
+const UV_LEVELS = [
+  [2, "Low"],
+  [5, "Moderate"],
+  [7, "High"],
+  [10, "Very high"],
+  [Infinity, "Extreme"]
+];
+
+function level(value, levels) {
+  if (!Number.isFinite(value)) return null;
+  return levels.find(([max]) => Math.round(value) <= max)[1];
+}
+
+function trimHourly(hourly, currentTime, count = 24) {
+  if (!Array.isArray(hourly?.time)) return null;
+  const start = Math.max(0, hourly.time.findIndex((time) => time >= currentTime));
+  return Object.fromEntries(Object.entries(hourly).map(([key, value]) => [
+    key,
+    Array.isArray(value) ? value.slice(start, start + count) : value
+  ]));
+}
+
+// Pollen is only modelled for Europe; elsewhere every field comes back null.
+function pollen(current) {
+  const values = POLLEN_FIELDS.filter((field) => Number.isFinite(current[field]))
+    .map((field) => [field.replace(/_pollen$/, ""), current[field]]);
+  return values.length ? Object.fromEntries(values) : null;
+}
+
+async function fetchAirQuality(location) {
+  const params = new URLSearchParams({
+    latitude: String(location.lat),
+    longitude: String(location.lon),
+    timezone: location.timezone,
+    current: ["us_aqi", "european_aqi", "pm2_5", "pm10", "ozone", "uv_index", ...POLLEN_FIELDS].join(","),
+    hourly: ["us_aqi", "european_aqi", "pm2_5", "uv_index"].join(","),
+    forecast_days: "2"
+  });
+  const data = await fetchJson(`https://air-quality-api.open-meteo.com/v1/air-quality?${params}`, {}, 4000);
+  const current = data?.current;
+  if (!current) throw new Error("Air quality response was incomplete");
+  return {
+    updated_iso: new Date().toISOString(),
+    source: "Open-Meteo Air Quality",
+    current: {
+      time: current.time,
+      us_aqi: current.us_aqi ?? null,
+      us_aqi_level: level(current.us_aqi, US_AQI_LEVELS),
+      european_aqi: current.european_aqi ?? null,
+      european_aqi_level: level(current.european_aqi, EU_AQI_LEVELS),
+      pm2_5: current.pm2_5 ?? null,
+      pm10: current.pm10 ?? null,
+      ozone: current.ozone ?? null,
+      uv_index: current.uv_index ?? null,
+      uv_level: level(current.uv_index, UV_LEVELS)
+    },
+    pollen: pollen(current),
+    units: {
+      pm2_5: data.current_units?.pm2_5 || "μg/m³",
+      pm10: data.current_units?.pm10 || "μg/m³",
+      ozone: data.current_units?.ozone || "μg/m³",
+      pollen: data.current_units?.grass_pollen || "grains/m³"
+    },
+    hourly: trimHourly(data.hourly, current.time)
+  };
+}
+
+export function getAirQuality(location, { fresh = false } = {}) {
+  // Hourly times come back in the requested zone, so the zone is part of the key.
+  const point = `${Number(location.lat).toFixed(2)},${Number(location.lon).toFixed(2)}`;
+  const cacheKey = `altay-dashboard:air:v2:${point}:${location.timezone}`;
+  return cachedRefresh(cacheKey, () => fetchAirQuality(location), {
+    softTtlSeconds: CACHE_TTL_SECONDS,
+    hardTtlSeconds: STALE_TTL_SECONDS,
+    retentionSeconds: CACHE_RETENTION_SECONDS,
+    fresh
+  });
+}
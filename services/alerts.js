@@ -0,0 +1,126 @@
+import { cachedRefresh } from "../lib/refresh.js";
+import { fetchJson } from "../lib/request.js";
+import { resolveLocation } from "./geocoding.js";
+
+// ALERTS_API_URL can point at any service that speaks the NWS alerts API
+// (GeoJSON features carrying CAP properties); NWS asks for an identifying User-Agent.
+const ALERTS_API = (process.env.ALERTS_API_URL || "https://api.weather.gov").replace(/\/+$/, "");
+const USER_AGENT = process.env.NWS_USER_AGENT || "altay-dashboard-data-api";
+const CACHE_TTL_SECONDS = 2 * 60;
+const STALE_TTL_SECONDS = 5 * 60;
+const CACHE_RETENTION_SECONDS = 60 * 60;
+const SEVERITY_RANK = { Extreme: 4, Severe: 3, Moderate: 2, Minor: 1, Unknown: 0 };
+const URGENCY_RANK = { Immediate: 4, Expected: 3, Future: 2, Past: 1, Unknown: 0 };
+const CERTAINTIES = ["Observed", "Likely", "Possible", "Unlikely", "Unknown"];
+
+function isoOrNull(value) {
+  const time = Date.parse(value || "");
+  return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+function known(value, allowed) {
+  return allowed.includes(value) ? value : "Unknown";
+}
+
+function reference(item) {
+  return typeof item === "string" ? item : item?.identifier || item?.["@id"] || null;
+}
+
+export function normalizeAlert(feature) {
+  const props = feature?.properties || {};
+  const id = String(props.id || props.identifier || feature?.id || "").trim();
+  if (!id) return null;
+  const severity = known(props.severity, Object.keys(SEVERITY_RANK));
+  const urgency = known(props.urgency, Object.keys(URGENCY_RANK));
+  const references = (Array.isArray(props.references) ? props.references : []).map(reference).filter(Boolean);
+  return {
+    id,
+    event: props.event || "Alert",
+    headline: props.headline || props.event || null,
+    severity,
+    severity_rank: SEVERITY_RANK[severity],
+    urgency,
+    urgency_rank: URGENCY_RANK[urgency],
+    certainty: known(props.certainty, CERTAINTIES),
+    status: props.status || "Actual",
+    message_type: props.messageType || "Alert",
+    area: props.areaDesc || null,
+    sender: props.senderName || props.sender || null,
+    sent_iso: isoOrNull(props.sent),
+    effective_iso: isoOrNull(props.effective),
+    onset_iso: isoOrNull(props.onset),
+    expires_iso: isoOrNull(props.expires),
+    ends_iso: isoOrNull(props.ends),
+    description: props.description || null,
+    instruction: props.instruction || null,
+    response: props.response || null,
+    updated: references.length > 0,
+    replaces: references
+  };
+}
+
+// CAP updates and cancellations reference the messages they replace, so a
+// referenced alert is dropped in favour of its successor and cancels vanish.
+// Offices that reissue without references collapse on event, area and onset.
+export function dedupe(alerts) {
+  const superseded = new Set(alerts.flatMap((alert) => alert.replaces));
+  const latest = new Map();
+  for (const alert of alerts) {
+    if (superseded.has(alert.id) || alert.message_type === "Cancel" || alert.status !== "Actual") continue;
+    const key = `${alert.event}|${alert.area}|${alert.onset_iso || alert.effective_iso}`;
+    const existing = latest.get(key);
+    if (!existing || (alert.sent_iso || "") > (existing.sent_iso || "")) latest.set(key, alert);
+  }
+  return [...latest.values()];
+}
+
+// ends is when the hazard is over; expires only bounds the message itself.
+function untilIso(alert) {
+  return alert.ends_iso || alert.expires_iso;
+}
+
+export function active(alerts, now = Date.now()) {
+  return alerts
+    .filter((alert) => !untilIso(alert) || Date.parse(untilIso(alert)) > now)
+    .sort((a, b) => b.severity_rank - a.severity_rank
+      || b.urgency_rank - a.urgency_rank
+      || (a.onset_iso || a.effective_iso || "").localeCompare(b.onset_iso || b.effective_iso || ""));
+}
+
+async function fetchAlerts(location) {
+  const params = new URLSearchParams({ point: `${Number(location.lat).toFixed(4)},${Number(location.lon).toFixed(4)}` });
+  try {
+    const data = await fetchJson(`${ALERTS_API}/alerts/active?${params}`, {
+      headers: { "User-Agent": USER_AGENT, Accept: "application/geo+json" }
+    }, 4000);
+    const features = Array.isArray(data?.features) ? data.features : [];
+    return { alerts: dedupe(features.map(normalizeAlert).filter(Boolean)) };
+  } catch (error) {
+    // NWS rejects points outside its coverage area with a 400.
+    if (error.message?.startsWith("Upstream HTTP 400") || error.message?.startsWith("Upstream HTTP 404")) {
+      return { alerts: [], note: "Alerts cover United States locations only" };
+    }
+    throw error;
+  }
+}
+
+// Alerts are time-critical, so the stale window is short.
+export async function getAlertsForLocation(location, { fresh = false } = {}) {
+  const cacheKey = `altay-dashboard:alerts:v1:${Number(location.lat).toFixed(2)},${Number(location.lon).toFixed(2)}`;
+  const payload = await cachedRefresh(cacheKey, async () => ({
+    updated_iso: new Date().toISOString(),
+    source: "National Weather Service",
+    ...await fetchAlerts(location)
+  }), {
+    softTtlSeconds: CACHE_TTL_SECONDS,
+    hardTtlSeconds: STALE_TTL_SECONDS,
+    retentionSeconds: CACHE_RETENTION_SECONDS,
+    fresh
+  });
+  return { ...payload, alerts: active(payload.alerts || []) };
+}
+
+export async function getAlerts(query = {}) {
+  const location = await resolveLocation(query);
+  return { ...await getAlertsForLocation(location, { fresh: query.fresh === "1" }), location };
+}
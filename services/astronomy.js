@@ -0,0 +1,91 @@
+import { moonIllumination, moonTimes, sunTimes } from "../lib/astronomy.js";
+import { addDays, localDateTime, zonedInstant, zonedParts } from "../lib/time.js";
+import { resolveLocation } from "./geocoding.js";
+
+// Everything here is computed in-process from lat/lon and the timezone, so it
+// needs no cache and works for any date.
+const PHASE_NAMES = [
+  "New moon", "Waxing crescent", "First quarter", "Waxing gibbous",
+  "Full moon", "Waning gibbous", "Last quarter", "Waning crescent"
+];
+
+function localTime(date, timezone) {
+  return date ? localDateTime(date, timezone) : null;
+}
+
+function span(begin, end, timezone) {
+  return { begin: localTime(begin, timezone), end: localTime(end, timezone) };
+}
+
+function sunForDay(location, date) {
+  return sunTimes(zonedInstant(date, 12 * 60, location.timezone), location.lat, location.lon);
+}
+
+function dayLengthSeconds(sun) {
+  const { rise, set, polar } = sun.events.sunrise;
+  if (polar) return polar === "day" ? 24 * 60 * 60 : 0;
+  return Math.round((set - rise) / 1000);
+}
+
+export function astronomyFor(location, date) {
+  const { timezone } = location;
+  const sun = sunForDay(location, date);
+  const previous = sunForDay(location, addDays(date, -1));
+  const { sunrise, civil, nautical, golden } = sun.events;
+  const dayLength = dayLengthSeconds(sun);
+
+  const noon = zonedInstant(date, 12 * 60, timezone);
+  const illumination = moonIllumination(noon);
+  const moon = moonTimes(zonedInstant(date, 0, timezone), zonedInstant(addDays(date, 1), 0, timezone), location.lat, location.lon);
+
+  return {
+    date,
+    timezone,
+    sun: {
+      sunrise: localTime(sunrise.rise, timezone),
+      sunset: localTime(sunrise.set, timezone),
+      solar_noon: localTime(sun.solarNoon, timezone),
+      noon_altitude_deg: Number(sun.noonAltitude.toFixed(1)),
+      polar: sunrise.polar,
+      day_length_sec: dayLength,
+      day_length_change_sec: dayLength - dayLengthSeconds(previous),
+      civil_twilight: span(civil.rise, civil.set, timezone),
+      nautical_twilight: span(nautical.rise, nautical.set, timezone),
+      // Golden hour runs between sunrise/sunset and the sun at 6° altitude;
+      // when the sun never climbs that high the whole day is golden.
+      golden_hour: {
+        morning: span(sunrise.rise, golden.polar === "night" ? sunrise.set : golden.rise, timezone),
+        evening: span(golden.polar === "night" ? sunrise.rise : golden.set, sunrise.set, timezone)
+      }
+    },
+    moon: {
+      phase: Number(illumination.phase.toFixed(3)),
+      phase_name: PHASE_NAMES[Math.round(illumination.phase * 8) % 8],
+      illumination: Number(illumination.fraction.toFixed(3)),
+      moonrise: localTime(moon.rise, timezone),
+      moonset: localTime(moon.set, timezone),
+      always_up: moon.alwaysUp,
+      always_down: moon.alwaysDown
+    }
+  };
+}
+
+export function todayAt(location) {
+  return zonedParts(new Date(), location.timezone).date;
+}
+
+function resolveDate(value, location) {
+  if (!value) return todayAt(location);
+  const date = String(value).trim();
+  const parsed = Date.parse(`${date}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !Number.isFinite(parsed) || new Date(parsed).toISOString().slice(0, 10) !== date) {
+    throw new Error("Invalid date: use YYYY-MM-DD");
+  }
+  return date;
+}
+
+export async function getAstronomy(query = {}) {
+  const location = await resolveLocation(query);
+  const date = resolveDate(query.date, location);
+  return { updated_iso: new Date().toISOString(), location, ...astronomyFor(location, date) };
+}
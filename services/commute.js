@@ -0,0 +1,544 @@
+import crypto from "crypto";
+import { cachedRefresh } from "../lib/refresh.js";
+import { fetchJson, withDeadline } from "../lib/request.js";
+import { addDays, isValidTimezone, zonedInstant, zonedParts } from "../lib/time.js";
+import { resolveEndpoint, resolveGeoContext } from "./places.js";
+import { transitItineraries } from "./transit.js";
+
+const TOMTOM_KEY = process.env.TOMTOM_API_KEY || process.env.TOMTOM_KEY;
+const TTL_SEC = 300; // 5 minutes
+const PLAN_TTL_SEC = 30 * 60;
+const PLAN_RETENTION_SEC = 2 * 60 * 60;
+const PLAN_SLOT_MINUTES = 5;
+const DEFAULT_TIMEZONE = process.env.COMMUTE_TIMEZONE || "America/Chicago";
+const MAX_PLAN_DAYS = 14;
+const MAX_WINDOW_SAMPLES = 13;
+const MAX_ALTERNATIVES = 5;
+const GEOMETRY_FORMATS = ["polyline", "geojson"];
+const VARIANT_RETENTION_SEC = 60 * 60;
+const DEFAULT_ROUTE_OPTIONS = { alternatives: 0, geometry: null };
+const MODES = ["driving", "transit"];
+const MAX_BATCH_PAIRS = 25;
+const BATCH_DEADLINE_MS = 8000;
+const BATCH_CONCURRENCY = 4;
+
+function clampLen(s, max) {
+  const v = String(s ?? "").trim();
+  return v.length > max ? v.slice(0, max) : v;
+}
+
+// Alternatives and geometry are cached apart from the plain summary so the
+// long-lived default entry stays small.
+function cacheKey(from, to, variant = "") {
+  const raw = `${from}||${to}${variant ? `||${variant}` : ""}`.toLowerCase();
+  const hash = crypto.createHash("sha1").update(raw).digest("hex");
+  return `dash_commute_v3_${hash}`;
+}
+
+// Planned trips live under their own short-lived keys, one per (pair, slot),
+// so sampling a departure window never multiplies the 24h pair entries.
+function planKey(from, to, kind, slot, variant = "") {
+  const raw = `${from}||${to}||${kind}||${slot.toISOString()}${variant ? `||${variant}` : ""}`.toLowerCase();
+  const hash = crypto.createHash("sha1").update(raw).digest("hex");
+  return `dash_commute_plan_v1_${hash}`;
+}
+
+function tomtomTime(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+function isoOrNull(value) {
+  const time = Date.parse(value || "");
+  return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+function encodeSigned(value) {
+  let remaining = value < 0 ? ~(value << 1) : value << 1;
+  let out = "";
+  while (remaining >= 0x20) {
+    out += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+    remaining >>= 5;
+  }
+  return out + String.fromCharCode(remaining + 63);
+}
+
+// Google's encoded polyline format at 1e-5 precision, points as [lat, lon].
+function encodePolyline(points) {
+  let lastLat = 0;
+  let lastLon = 0;
+  let out = "";
+  for (const [lat, lon] of points) {
+    const scaledLat = Math.round(lat * 1e5);
+    const scaledLon = Math.round(lon * 1e5);
+    out += encodeSigned(scaledLat - lastLat) + encodeSigned(scaledLon - lastLon);
+    lastLat = scaledLat;
+    lastLon = scaledLon;
+  }
+  return out;
+}
+
+// Names the route after its two longest roads (by distance driven on each),
+// listed in driving order, e.g. "I-90 / I-290".
+function viaLabel(instructions, totalLength) {
+  if (!Array.isArray(instructions)) return null;
+  const roads = new Map();
+  instructions.forEach((instruction, index) => {
+    const name = instruction?.roadNumbers?.[0] || instruction?.street;
+    const start = Number(instruction?.routeOffsetInMeters);
+    const end = Number(instructions[index + 1]?.routeOffsetInMeters ?? totalLength);
+    if (!name || !Number.isFinite(start) || !(end > start)) return;
+    const road = roads.get(name) || { name, length: 0, first: index };
+    road.length += end - start;
+    roads.set(name, road);
+  });
+  const major = [...roads.values()].sort((a, b) => b.length - a.length).slice(0, 2).sort((a, b) => a.first - b.first);
+  return major.length ? major.map((road) => road.name).join(" / ") : null;
+}
+
+function trafficSections(sections) {
+  return (Array.isArray(sections) ? sections : [])
+    .filter((section) => section?.sectionType === "TRAFFIC")
+    .map((section) => ({
+      start_index: section.startPointIndex,
+      end_index: section.endPointIndex,
+      category: section.simpleCategory ? String(section.simpleCategory).toLowerCase() : null,
+      magnitude: section.magnitudeOfDelay ?? null,
+      delay_sec: section.delayInSeconds ?? null,
+      speed_kmh: section.effectiveSpeedInKmh ?? null
+    }));
+}
+
+function routeGeometry(route, format) {
+  const points = (route?.legs || [])
+    .flatMap((leg) => leg?.points || [])
+    .map((point) => [Number(point.latitude), Number(point.longitude)]);
+  const sections = trafficSections(route?.sections);
+  if (format === "polyline") {
+    return { format: "polyline", precision: 5, polyline: encodePolyline(points), traffic_sections: sections };
+  }
+  return {
+    type: "Feature",
+    geometry: { type: "LineString", coordinates: points.map(([lat, lon]) => [lon, lat]) },
+    properties: { traffic_sections: sections }
+  };
+}
+
+function routeSummary(route, options, detailed) {
+  const s = route?.summary;
+
+  const travelSec = Number(s?.travelTimeInSeconds);
+  const noTrafficSec = Number(s?.noTrafficTravelTimeInSeconds);
+  const distanceM = Number(s?.lengthInMeters);
+
+  if (!Number.isFinite(travelSec) || !Number.isFinite(noTrafficSec) || noTrafficSec <= 0) return null;
+
+  const delaySec = Math.max(0, travelSec - noTrafficSec);
+
+  return {
+    travel_time_sec: travelSec,
+    traffic_delay_sec: delaySec,
+    distance_m: Number.isFinite(distanceM) ? distanceM : null,
+    ratio: travelSec / noTrafficSec,
+    departure_iso: isoOrNull(s?.departureTime),
+    arrival_iso: isoOrNull(s?.arrivalTime),
+    ...(detailed && { via: viaLabel(route.guidance?.instructions, distanceM) }),
+    ...(options.geometry && { geometry: routeGeometry(route, options.geometry) })
+  };
+}
+
+async function tomtomRoutes(fromPos, toPos, timing = {}, options = DEFAULT_ROUTE_OPTIONS, signal) {
+  const loc = `${fromPos.lat},${fromPos.lon}:${toPos.lat},${toPos.lon}`;
+  const detailed = options.alternatives > 0 || Boolean(options.geometry);
+
+  const qs = new URLSearchParams({
+    key: TOMTOM_KEY,
+    traffic: "true",
+    computeTravelTimeFor: "all",
+    routeRepresentation: detailed ? "polyline" : "summaryOnly",
+    routeType: "fastest"
+  });
+  if (timing.departAt) qs.set("departAt", tomtomTime(timing.departAt));
+  if (timing.arriveAt) qs.set("arriveAt", tomtomTime(timing.arriveAt));
+  if (options.alternatives) qs.set("maxAlternatives", String(options.alternatives));
+  if (detailed) {
+    qs.set("instructionsType", "coded");
+    qs.set("sectionType", "traffic");
+  }
+
+  const url = `https://api.tomtom.com/routing/1/calculateRoute/${encodeURIComponent(
+    loc
+  )}/json?${qs.toString()}`;
+
+  const data = await fetchJson(url, { signal }, 4500);
+
+  const routes = (Array.isArray(data?.routes) ? data.routes : []).map((route) => routeSummary(route, options, detailed));
+
+  if (!routes[0]) {
+    throw new Error(
+      "Routing response missing travelTimeInSeconds / noTrafficTravelTimeInSeconds"
+    );
+  }
+
+  return routes.filter(Boolean);
+}
+
+function routeOptions(query) {
+  const alternatives = query.alternatives == null || query.alternatives === "" ? 0 : Number(query.alternatives);
+  if (!Number.isInteger(alternatives) || alternatives < 0 || alternatives > MAX_ALTERNATIVES) {
+    throw new Error(`Invalid alternatives: use 0 to ${MAX_ALTERNATIVES}`);
+  }
+  const geometry = query.geometry ? String(query.geometry).toLowerCase() : null;
+  if (geometry && !GEOMETRY_FORMATS.includes(geometry)) throw new Error(`Invalid geometry: use ${GEOMETRY_FORMATS.join(" or ")}`);
+  return { alternatives, geometry };
+}
+
+function routeVariant(options, context) {
+  const parts = [];
+  if (options.alternatives || options.geometry) parts.push(`alt=${options.alternatives};geometry=${options.geometry || "none"}`);
+  if (context?.key) parts.push(context.key);
+  return parts.join(";");
+}
+
+function withRoutes(routes, options) {
+  return options.alternatives ? { route: routes[0], routes } : { route: routes[0] };
+}
+
+function resolveTimezone(query, context) {
+  const timezone = clampLen(query.tz, 64) || context.timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(timezone)) throw new Error(`Invalid tz: ${timezone}`);
+  return timezone;
+}
+
+function clockMinutes(value) {
+  const match = String(value).match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// Accepts a full ISO timestamp, or a local "HH:MM" that resolves on localDate
+// when given, otherwise at its next occurrence in the commute's timezone.
+function parseTime(name, value, timezone, now, localDate) {
+  const minutes = clockMinutes(value);
+  let time;
+  if (minutes != null) {
+    const today = zonedParts(now, timezone).date;
+    time = zonedInstant(localDate || today, minutes, timezone);
+    if (!localDate && time.getTime() < now.getTime() - 60 * 1000) time = zonedInstant(addDays(today, 1), minutes, timezone);
+  } else {
+    const parsed = Date.parse(value);
+    if (!Number.isFinite(parsed)) throw new Error(`Invalid ${name}: use HH:MM or an ISO timestamp`);
+    time = new Date(parsed);
+  }
+  if (time.getTime() < now.getTime() - 60 * 1000) throw new Error(`Invalid ${name}: must be in the future`);
+  if (time.getTime() > now.getTime() + MAX_PLAN_DAYS * 24 * 60 * 60 * 1000) {
+    throw new Error(`Invalid ${name}: must be within ${MAX_PLAN_DAYS} days`);
+  }
+  return time < now ? now : time;
+}
+
+function parseWindow(value, stepValue, timezone, now) {
+  const match = String(value).match(/^(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
+  const start = match && clockMinutes(match[1]);
+  const end = match && clockMinutes(match[2]);
+  if (start == null || end == null || end <= start) throw new Error("Invalid window: use HH:MM-HH:MM within one day");
+  const step = stepValue == null || stepValue === "" ? 15 : Number(stepValue);
+  if (!Number.isInteger(step) || step < 5 || step > 60) throw new Error("Invalid step: use 5 to 60 minutes");
+  if (Math.floor((end - start) / step) + 1 > MAX_WINDOW_SAMPLES) {
+    throw new Error(`Invalid window: at most ${MAX_WINDOW_SAMPLES} departures per request`);
+  }
+
+  const today = zonedParts(now, timezone).date;
+  const localDate = zonedInstant(today, end, timezone) > now ? today : addDays(today, 1);
+  const departures = [];
+  for (let minutes = start; minutes <= end; minutes += step) {
+    const departure = zonedInstant(localDate, minutes, timezone);
+    if (departure > now) departures.push(departure);
+  }
+  return { localDate, step, departures };
+}
+
+// Arrivals round down and departures round up, so a cached slot never
+// promises a later arrival or an earlier departure than the user asked for.
+function planSlot(date, kind) {
+  const slotMs = PLAN_SLOT_MINUTES * 60 * 1000;
+  const round = kind === "arrive_by" ? Math.floor : Math.ceil;
+  return new Date(round(date.getTime() / slotMs) * slotMs);
+}
+
+function localClock(iso, timezone) {
+  return new Intl.DateTimeFormat("en-US", { timeZone: timezone, hour: "numeric", minute: "2-digit" }).format(new Date(iso));
+}
+
+function resolveEndpoints(fromRaw, toRaw, context) {
+  return Promise.all([resolveEndpoint(fromRaw, context), resolveEndpoint(toRaw, context)]);
+}
+
+async function plannedRoutes(pair, kind, at, fresh, options = DEFAULT_ROUTE_OPTIONS) {
+  const slot = planSlot(at, kind);
+  const key = planKey(pair.fromRaw, pair.toRaw, kind, slot, routeVariant(options, pair.context));
+  const timing = kind === "arrive_by" ? { arriveAt: slot } : { departAt: slot };
+  const plan = await cachedRefresh(key, async () => ({
+    updated_iso: new Date().toISOString(),
+    routes: await tomtomRoutes(pair.fromPos, pair.toPos, timing, options)
+  }), {
+    softTtlSeconds: PLAN_TTL_SEC,
+    retentionSeconds: PLAN_RETENTION_SEC,
+    fresh,
+    staleOnError: false,
+    usable: (cached) => Boolean(cached?.routes)
+  });
+  return plan.routes;
+}
+
+async function currentCommute(fromRaw, toRaw, fresh, options, context, resolve = (raw) => resolveEndpoint(raw, context), signal) {
+  const variant = routeVariant(options, context);
+  // Live travel times are only useful while current, so there is no stale window.
+  return cachedRefresh(cacheKey(fromRaw, toRaw, variant), async () => {
+    const [fromPos, toPos] = await Promise.all([resolve(fromRaw), resolve(toRaw)]);
+    const routes = await tomtomRoutes(fromPos, toPos, {}, options, signal);
+    return {
+      updated_iso: new Date().toISOString(),
+      from: fromPos,
+      to: toPos,
+      ...withRoutes(routes, options)
+    };
+  }, {
+    softTtlSeconds: TTL_SEC,
+    retentionSeconds: options.alternatives || options.geometry ? VARIANT_RETENTION_SEC : 24 * 60 * 60,
+    fresh,
+    staleOnError: false
+  });
+}
+
+async function departureWindow(pair, query, timezone, now, fresh) {
+  const window = parseWindow(query.window, query.step, timezone, now);
+  const arriveBy = query.arrive_by ? parseTime("arrive_by", query.arrive_by, timezone, now, window.localDate) : null;
+  const results = await Promise.allSettled(window.departures.map((departure) => (
+    plannedRoutes(pair, "depart_at", departure, fresh).then(([route]) => route)
+  )));
+  const curve = results.map((result, index) => result.status === "fulfilled" ? {
+    departure_iso: window.departures[index].toISOString(),
+    arrival_iso: result.value.arrival_iso
+      || new Date(window.departures[index].getTime() + result.value.travel_time_sec * 1000).toISOString(),
+    travel_time_sec: result.value.travel_time_sec,
+    traffic_delay_sec: result.value.traffic_delay_sec,
+    ratio: result.value.ratio
+  } : null).filter(Boolean);
+  if (!curve.length) throw results.find((result) => result.status === "rejected")?.reason || new Error("No departures left in the window");
+
+  const best = arriveBy
+    ? curve.filter((point) => Date.parse(point.arrival_iso) <= arriveBy.getTime()).at(-1) || null
+    : curve.reduce((fastest, point) => point.travel_time_sec < fastest.travel_time_sec ? point : fastest);
+  let recommendation;
+  if (arriveBy && !best) recommendation = `No departure in the window arrives by ${localClock(arriveBy.toISOString(), timezone)}`;
+  else if (arriveBy) recommendation = `Leave by ${localClock(best.departure_iso, timezone)} to arrive by ${localClock(arriveBy.toISOString(), timezone)}`;
+  else recommendation = `Leave at ${localClock(best.departure_iso, timezone)} for the shortest trip (${Math.round(best.travel_time_sec / 60)} min)`;
+
+  return {
+    mode: "window",
+    window: {
+      start_iso: window.departures[0]?.toISOString() || null,
+      end_iso: window.departures.at(-1)?.toISOString() || null,
+      step_min: window.step
+    },
+    arrive_by: arriveBy?.toISOString() || null,
+    best,
+    recommendation,
+    partial: curve.length !== window.departures.length,
+    curve
+  };
+}
+
+function commuteMode(query) {
+  const mode = query.mode ? String(query.mode).toLowerCase() : "driving";
+  if (!MODES.includes(mode)) throw new Error(`Invalid mode: use ${MODES.join(" or ")}`);
+  return mode;
+}
+
+// Transit runs on the bundled GTFS feed, so it works without a TomTom key as
+// long as the endpoints need no geocoding; the driving route rides along for
+// comparison whenever it can be computed.
+async function transitCommute(fromRaw, toRaw, query, fresh, options, context) {
+  if (query.arrive_by || query.window) throw new Error("Invalid plan: transit supports depart_at only");
+  const timezone = resolveTimezone(query, context);
+  const now = new Date();
+  const departAt = query.depart_at ? parseTime("depart_at", query.depart_at, timezone, now) : now;
+  const [fromPos, toPos] = await resolveEndpoints(fromRaw, toRaw, context);
+  const transit = transitItineraries(fromPos, toPos, departAt);
+
+  let driving;
+  try {
+    if (!TOMTOM_KEY) throw new Error("Traffic data is not configured");
+    if (query.depart_at) {
+      driving = withRoutes(await plannedRoutes({ fromRaw, toRaw, fromPos, toPos, context }, "depart_at", departAt, fresh, options), options);
+    } else {
+      const current = await currentCommute(fromRaw, toRaw, fresh, options, context);
+      driving = options.alternatives ? { route: current.route, routes: current.routes } : { route: current.route };
+    }
+  } catch (error) {
+    driving = { route: null, driving_error: error?.message || "Driving route unavailable" };
+  }
+
+  return {
+    updated_iso: now.toISOString(),
+    mode: "transit",
+    from: fromPos,
+    to: toPos,
+    timezone,
+    depart_at: departAt.toISOString(),
+    ...driving,
+    transit
+  };
+}
+
+export async function getCommute(query = {}) {
+  const mode = commuteMode(query);
+  if (!TOMTOM_KEY && mode !== "transit") throw new Error("Traffic data is not configured");
+
+  const fromRaw = clampLen(query.from, 160);
+  const toRaw = clampLen(query.to, 160);
+  if (!fromRaw || !toRaw) throw new Error("Provide both from and to query parameters");
+  const fresh = query.fresh === "1";
+  const options = routeOptions(query);
+  const context = await resolveGeoContext(query);
+  if (mode === "transit") return transitCommute(fromRaw, toRaw, query, fresh, options, context);
+  if (!query.depart_at && !query.arrive_by && !query.window) return currentCommute(fromRaw, toRaw, fresh, options, context);
+  if (query.depart_at && query.arrive_by && !query.window) throw new Error("Invalid plan: use depart_at or arrive_by, not both");
+
+  const timezone = resolveTimezone(query, context);
+  const now = new Date();
+  const [fromPos, toPos] = await resolveEndpoints(fromRaw, toRaw, context);
+  const pair = { fromRaw, toRaw, fromPos, toPos, context };
+  const base = { updated_iso: now.toISOString(), from: fromPos, to: toPos, timezone };
+
+  if (query.window) return { ...base, ...await departureWindow(pair, query, timezone, now, fresh) };
+
+  if (query.arrive_by) {
+    const arriveBy = parseTime("arrive_by", query.arrive_by, timezone, now);
+    const routes = await plannedRoutes(pair, "arrive_by", arriveBy, fresh, options);
+    const route = routes[0];
+    const leaveBy = route.departure_iso || new Date(arriveBy.getTime() - route.travel_time_sec * 1000).toISOString();
+    return {
+      ...base,
+      mode: "arrive_by",
+      arrive_by: arriveBy.toISOString(),
+      leave_by_iso: leaveBy,
+      recommendation: `Leave by ${localClock(leaveBy, timezone)} to arrive by ${localClock(arriveBy.toISOString(), timezone)}`,
+      ...withRoutes(routes, options)
+    };
+  }
+
+  const departAt = parseTime("depart_at", query.depart_at, timezone, now);
+  return {
+    ...base,
+    mode: "depart_at",
+    depart_at: departAt.toISOString(),
+    ...withRoutes(await plannedRoutes(pair, "depart_at", departAt, fresh, options), options)
+  };
+}
+
+function batchList(value) {
+  const items = Array.isArray(value) ? value : String(value ?? "").split("|");
+  return items.map((item) => clampLen(item, 160)).filter(Boolean);
+}
+
+// Pairs come from a JSON body ({ pairs: [{ from, to }] } or { origins, destinations })
+// or from the query string as pairs=a>b|c>d and origins=a|b&destinations=c|d.
+function batchPairs(input) {
+  if (input.origins || input.destinations) {
+    const origins = batchList(input.origins);
+    const destinations = batchList(input.destinations);
+    if (!origins.length || !destinations.length) throw new Error("Provide both origins and destinations");
+    return {
+      matrix: { origins, destinations },
+      pairs: origins.flatMap((from) => destinations.map((to) => ({ from, to })))
+    };
+  }
+  const pairs = (Array.isArray(input.pairs) ? input.pairs : batchList(input.pairs).map((pair) => {
+    const [from, to] = pair.split(">");
+    return { from, to };
+  })).map((pair) => ({ from: clampLen(pair?.from, 160), to: clampLen(pair?.to, 160) }));
+  if (!pairs.length) throw new Error("Provide pairs or origins and destinations");
+  if (pairs.some((pair) => !pair.from || !pair.to)) throw new Error("Invalid pairs: every pair needs a from and a to");
+  return { matrix: null, pairs };
+}
+
+// At most BATCH_CONCURRENCY pairs run at once, each within whatever is left
+// of the shared batch deadline. run gets a signal that aborts at the deadline,
+// so a pair that timed out stops its upstream call instead of running on.
+async function settleWithin(pairs, deadline, run) {
+  const results = new Array(pairs.length);
+  const signal = AbortSignal.timeout(Math.max(1, deadline - Date.now()));
+  let next = 0;
+  await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, pairs.length) }, async () => {
+    while (next < pairs.length) {
+      const index = next;
+      next += 1;
+      const remaining = deadline - Date.now();
+      results[index] = remaining > 0
+        ? await withDeadline(run(pairs[index], signal), remaining, "Commute").then(
+          (value) => ({ status: "fulfilled", value }),
+          (reason) => ({ status: "rejected", reason })
+        )
+        : { status: "rejected", reason: new Error("Commute batch ran out of time") };
+    }
+  }));
+  return results;
+}
+
+// Every pair shares one geocode per distinct endpoint and still reads and
+// writes the same per-pair cache entries as /api/commute. Pairs that miss
+// the deadline come back with an error so the batch fits the 10s limit.
+export async function getCommuteBatch(query = {}, body = {}) {
+  if (!TOMTOM_KEY) throw new Error("Traffic data is not configured");
+
+  const input = { ...query, ...body };
+  const { matrix, pairs } = batchPairs(input);
+  if (pairs.length > MAX_BATCH_PAIRS) throw new Error(`Invalid batch: at most ${MAX_BATCH_PAIRS} pairs per request`);
+  const fresh = String(input.fresh) === "1";
+  const options = routeOptions(input);
+  const context = await resolveGeoContext(input);
+
+  const positions = new Map();
+  const resolve = (raw) => {
+    const key = raw.toLowerCase();
+    if (!positions.has(key)) positions.set(key, resolveEndpoint(raw, context));
+    return positions.get(key);
+  };
+
+  const results = await settleWithin(pairs, Date.now() + BATCH_DEADLINE_MS, (pair, signal) => (
+    currentCommute(pair.from, pair.to, fresh, options, context, resolve, signal)
+  ));
+  const items = results.map((result, index) => result.status === "fulfilled"
+    ? { from_query: pairs[index].from, to_query: pairs[index].to, ...result.value }
+    : {
+      from_query: pairs[index].from,
+      to_query: pairs[index].to,
+      error: result.reason?.message || "Commute unavailable",
+      ...(result.reason?.candidates && { candidates: result.reason.candidates })
+    });
+  if (results.every((result) => result.status === "rejected")) {
+    // One shared cause keeps its own message (and status); mixed causes get a
+    // summary. Either way every pair's error travels with it.
+    const messages = new Set(items.map((item) => item.error));
+    const error = new Error(messages.size === 1 ? items[0].error : `All ${pairs.length} commute pairs failed`);
+    error.results = items;
+    throw error;
+  }
+
+  return {
+    updated_iso: new Date().toISOString(),
+    pairs: pairs.length,
+    geocoded: positions.size,
+    partial: results.some((result) => result.status === "rejected"),
+    ...(matrix && {
+      matrix: {
+        ...matrix,
+        travel_time_sec: matrix.origins.map((_, row) => matrix.destinations.map((__, column) => (
+          items[row * matrix.destinations.length + column].route?.travel_time_sec ?? null
+        )))
+      }
+    }),
+    results: items
+  };
+}
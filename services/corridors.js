@@ -0,0 +1,72 @@
+import { readFileSync } from "fs";
+
+const DEFAULT_CORRIDORS_FILE = new URL("../config/traffic-corridors.json", import.meta.url);
+const DEFAULT_TIMEZONE = "America/Chicago";
+const MAX_WAYPOINTS = 10;
+let corridorConfig = null;
+
+function configError(message) {
+  return new Error(`Invalid traffic corridor config: ${message}`);
+}
+
+function coordinate(value, label) {
+  const [lat, lon] = Array.isArray(value) ? value.map(Number) : [];
+  if (!(Math.abs(lat) <= 90) || !(Math.abs(lon) <= 180)) throw configError(`${label} must be [lat, lon]`);
+  return [lat, lon];
+}
+
+function matcher(value, fields, label) {
+  if (value == null) return null;
+  const entries = fields.map((field) => [field, String(value?.[field] || "").trim().toLowerCase()]);
+  const missing = entries.find(([, text]) => !text);
+  if (missing) throw configError(`${label}.${missing[0]} is required`);
+  return Object.fromEntries(entries);
+}
+
+function normalizeCorridor(raw, index) {
+  const id = String(raw?.id || "").trim();
+  if (!/^[A-Za-z0-9_-]{1,32}$/.test(id)) throw configError(`corridor ${index} needs an id of letters, digits, _ or -`);
+  const waypoints = Array.isArray(raw.waypoints) ? raw.waypoints : [];
+  if (waypoints.length > MAX_WAYPOINTS) throw configError(`${id} has more than ${MAX_WAYPOINTS} waypoints`);
+  return {
+    id,
+    label: String(raw.label || id).trim(),
+    default: raw.default !== false,
+    timezone: String(raw.timezone || process.env.TRAFFIC_TIMEZONE || DEFAULT_TIMEZONE).trim(),
+    origin: coordinate(raw.origin, `${id}.origin`),
+    destination: coordinate(raw.destination, `${id}.destination`),
+    waypoints: waypoints.map((point, pointIndex) => coordinate(point, `${id}.waypoints[${pointIndex}]`)),
+    travel_midwest: matcher(raw.travel_midwest, ["report", "phrase"], `${id}.travel_midwest`),
+    reversible_lanes: matcher(raw.reversible_lanes, ["report", "inbound", "outbound"], `${id}.reversible_lanes`)
+  };
+}
+
+// TRAFFIC_CORRIDORS holds inline JSON, TRAFFIC_CORRIDORS_FILE points at a JSON
+// file, and the bundled Chicago expressways apply when neither is set.
+export function loadCorridors() {
+  if (corridorConfig) return corridorConfig;
+  const source = process.env.TRAFFIC_CORRIDORS
+    || readFileSync(process.env.TRAFFIC_CORRIDORS_FILE || DEFAULT_CORRIDORS_FILE, "utf8");
+  let parsed;
+  try {
+    parsed = JSON.parse(source);
+  } catch {
+    throw configError("not valid JSON");
+  }
+  if (!Array.isArray(parsed) || !parsed.length) throw configError("expected a non-empty array");
+  const corridors = parsed.map(normalizeCorridor);
+  const ids = corridors.map((corridor) => corridor.id.toLowerCase());
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) throw configError(`duplicate corridor id ${duplicate}`);
+  corridorConfig = corridors;
+  return corridors;
+}
+
+export function selectCorridors(query) {
+  const corridors = loadCorridors();
+  const ids = String(query.corridors || "").split(",").map((id) => id.trim().toLowerCase()).filter(Boolean);
+  if (!ids.length) return corridors.filter((corridor) => corridor.default);
+  const unknown = ids.filter((id) => !corridors.some((corridor) => corridor.id.toLowerCase() === id));
+  if (unknown.length) throw new Error(`Unknown traffic corridor: ${unknown.join(", ")}`);
+  return corridors.filter((corridor) => ids.includes(corridor.id.toLowerCase()));
+}
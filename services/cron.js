@@ -0,0 +1,116 @@
+import { cacheListPush, cacheSet } from "../lib/cache.js";
+import { marketSession } from "../lib/market-calendar.js";
+import { trackRefreshes } from "../lib/refresh.js";
+import { withDeadline } from "../lib/request.js";
+import { getCommuteBatch } from "./commute.js";
+import { getMarkets } from "./markets.js";
+import { getTraffic } from "./traffic.js";
+import { getWeather } from "./weather.js";
+
+// Pre-warms the caches user requests read, so the dashboard rarely pays for a
+// cold upstream call. Every job goes through the normal service functions;
+// cachedRefresh decides per cache key whether there is anything to refresh.
+//   CRON_WEATHER_LOCATIONS  cities or lat,lon pairs separated by | (default: home location)
+//   CRON_COMMUTE_PAIRS      from>to pairs separated by |, as in /api/commute/batch
+//   CRON_BUDGET_MS          total time for the run (default 8000, under the 10s limit)
+const BUDGET_MS = Number(process.env.CRON_BUDGET_MS) > 0 ? Number(process.env.CRON_BUDGET_MS) : 8000;
+const CONCURRENCY = 3;
+const LAST_RUN_KEY = "altay-dashboard:cron:v1:last";
+const RUNS_KEY = "altay-dashboard:cron:v1:runs";
+const RUN_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+function listFromEnv(name) {
+  return String(process.env[name] || "").split("|").map((item) => item.trim()).filter(Boolean);
+}
+
+function weatherQuery(item) {
+  const match = item.match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+  return match ? { lat: match[1], lon: match[2] } : { city: item };
+}
+
+function jobs() {
+  const locations = listFromEnv("CRON_WEATHER_LOCATIONS");
+  const weather = locations.length
+    ? locations.map((item) => ({ id: `weather:${item}`, run: () => getWeather(weatherQuery(item)) }))
+    : [{ id: "weather", run: () => getWeather({}) }];
+
+  const pairs = listFromEnv("CRON_COMMUTE_PAIRS");
+  const hasTomTom = Boolean(process.env.TOMTOM_API_KEY || process.env.TOMTOM_KEY);
+  const commute = !pairs.length ? []
+    : [{
+      id: "commute",
+      skip: !hasTomTom && "Traffic data is not configured",
+      run: () => getCommuteBatch({ pairs: pairs.join("|") })
+    }];
+
+  // Quotes only move while the market trades (pre and post included); the
+  // last close stays cached through nights, weekends and holidays.
+  const session = marketSession().session;
+  return [
+    ...weather,
+    { id: "markets", skip: session === "closed" && "Market closed", run: () => getMarkets({}) },
+    { id: "traffic", run: () => getTraffic({}) },
+    ...commute
+  ];
+}
+
+function outcome(tracked) {
+  if (tracked.failed) return { status: "failed" };
+  if (tracked.refreshed) return { status: "refreshed" };
+  return { status: "skipped", reason: "Data still fresh" };
+}
+
+async function runJob(job, deadline) {
+  const started = Date.now();
+  if (job.skip) return { id: job.id, status: "skipped", reason: job.skip, duration_ms: 0 };
+  const remaining = deadline - started;
+  if (remaining <= 0) return { id: job.id, status: "skipped", reason: "Time budget exhausted", duration_ms: 0 };
+  try {
+    const tracked = await withDeadline(trackRefreshes(job.run), remaining, job.id);
+    return {
+      id: job.id,
+      ...outcome(tracked),
+      refreshed: tracked.refreshed,
+      fresh: tracked.fresh,
+      failed: tracked.failed,
+      duration_ms: Date.now() - started,
+      ...(tracked.value?.error && { error: tracked.value.error })
+    };
+  } catch (error) {
+    return { id: job.id, status: "failed", error: error.message || "Refresh failed", duration_ms: Date.now() - started };
+  }
+}
+
+export async function runCacheRefresh() {
+  const started = Date.now();
+  const deadline = started + BUDGET_MS;
+  const queue = jobs();
+  const results = new Array(queue.length);
+  let next = 0;
+  // A small worker pool keeps upstream calls polite and the run inside budget.
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, queue.length) }, async () => {
+    while (next < queue.length) {
+      const index = next;
+      next += 1;
+      results[index] = await runJob(queue[index], deadline);
+    }
+  }));
+
+  const run = {
+    started_iso: new Date(started).toISOString(),
+    duration_ms: Date.now() - started,
+    budget_ms: BUDGET_MS,
+    ok: results.every((result) => result.status !== "failed"),
+    jobs: results
+  };
+  await Promise.all([
+    cacheSet(LAST_RUN_KEY, run, RUN_RETENTION_SECONDS),
+    cacheListPush(RUNS_KEY, {
+      started_iso: run.started_iso,
+      duration_ms: run.duration_ms,
+      ok: run.ok,
+      jobs: results.map(({ id, status, duration_ms }) => ({ id, status, duration_ms }))
+    }, 50, RUN_RETENTION_SECONDS)
+  ]);
+  return run;
+}
@@ -0,0 +1,194 @@
+import { cachedRefresh } from "../lib/refresh.js";
+import { fetchJson } from "../lib/request.js";
+
+const CACHE_PREFIX = "altay-dashboard:currencies:v1";
+const MAX_SYMBOLS = 10;
+const HISTORY_DAYS = 6;
+const STALE_TTL_FACTOR = 2;
+const COINGECKO_IDS = {
+  BTC: "bitcoin",
+  ETH: "ethereum",
+  SOL: "solana",
+  XRP: "ripple",
+  ADA: "cardano",
+  DOGE: "dogecoin",
+  LTC: "litecoin",
+  DOT: "polkadot",
+  AVAX: "avalanche-2",
+  LINK: "chainlink"
+};
+const FX_CURRENCIES = new Set([
+  "USD", "EUR", "JPY", "GBP", "CHF", "CAD", "AUD", "NZD", "CNY", "HKD",
+  "SEK", "NOK", "DKK", "MXN", "BRL", "INR", "KRW", "SGD", "ZAR", "TRY", "PLN"
+]);
+
+// Both asset kinds trade around the clock, so freshness is a flat TTL rather
+// than the exchange-session table the equity service uses.
+const KINDS = {
+  crypto: {
+    label: "crypto",
+    defaults: ["BTC", "ETH"],
+    env: "CRYPTO_SYMBOLS",
+    maxAge: 5 * 60,
+    validate: (symbol) => Boolean(COINGECKO_IDS[symbol]),
+    providerSymbol: (symbol) => `${symbol}/USD`,
+    fallbackSource: "CoinGecko",
+    fallback: fetchCoinGeckoSeries
+  },
+  fx: {
+    label: "FX pair",
+    defaults: ["EURUSD", "USDJPY"],
+    env: "FX_PAIRS",
+    maxAge: 15 * 60,
+    validate: (pair) => /^[A-Z]{6}$/.test(pair) && FX_CURRENCIES.has(pair.slice(0, 3)) && FX_CURRENCIES.has(pair.slice(3)) && pair.slice(0, 3) !== pair.slice(3),
+    providerSymbol: (pair) => `${pair.slice(0, 3)}/${pair.slice(3)}`,
+    fallbackSource: "Frankfurter (ECB)",
+    fallback: fetchFrankfurterSeries
+  }
+};
+
+function valueAsNumber(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function parseList(kind, value) {
+  const symbols = [...new Set(String(value || "")
+    .split(",")
+    .map((symbol) => symbol.trim().toUpperCase().replace(/[/\-\s]/g, ""))
+    .filter(Boolean))];
+  const invalid = symbols.filter((symbol) => !kind.validate(symbol));
+  if (invalid.length) throw new Error(`Invalid ${kind.label}: ${invalid.join(", ")}`);
+  if (symbols.length > MAX_SYMBOLS) throw new Error(`Invalid ${kind.label} list: at most ${MAX_SYMBOLS} entries`);
+  return symbols;
+}
+
+function summarize(source, history) {
+  if (history.length < 2) throw new Error(`No ${source} history`);
+  const price = history.at(-1).close;
+  const previous = history.at(-2).close;
+  return {
+    source,
+    price,
+    change: price - previous,
+    percent_change: previous ? ((price - previous) / previous) * 100 : 0,
+    history
+  };
+}
+
+async function fetchSeries(kind, symbol, apiKey) {
+  const params = new URLSearchParams({
+    symbol: kind.providerSymbol(symbol),
+    interval: "1day",
+    outputsize: String(HISTORY_DAYS + 2),
+    apikey: apiKey
+  });
+  const data = await fetchJson(`https://api.twelvedata.com/time_series?${params}`, {}, 4300);
+  if (data?.status === "error" || !Array.isArray(data?.values)) {
+    throw new Error(`Quote source rejected ${symbol}: ${data?.message || "No series"}`);
+  }
+  const history = data.values
+    .map((point) => ({ date: point.datetime, close: valueAsNumber(point.close) }))
+    .filter((point) => point.close != null)
+    .slice(0, HISTORY_DAYS)
+    .reverse();
+  return summarize("Twelve Data", history);
+}
+
+// CoinGecko's daily series ends with a live tick, so the last point is the
+// current price and the one before it is the previous UTC midnight close.
+async function fetchCoinGeckoSeries(symbol) {
+  const params = new URLSearchParams({
+    vs_currency: "usd",
+    days: String(HISTORY_DAYS),
+    interval: "daily"
+  });
+  const data = await fetchJson(
+    `https://api.coingecko.com/api/v3/coins/${COINGECKO_IDS[symbol]}/market_chart?${params}`,
+    { headers: { Accept: "application/json" } },
+    4500
+  );
+  const history = (Array.isArray(data?.prices) ? data.prices : [])
+    .map(([time, price]) => ({ date: new Date(time).toISOString().slice(0, 10), close: valueAsNumber(price) }))
+    .filter((point) => point.close != null)
+    .slice(-HISTORY_DAYS);
+  return summarize("CoinGecko", history);
+}
+
+async function fetchFrankfurterSeries(pair) {
+  const start = new Date(Date.now() - (HISTORY_DAYS + 8) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const params = new URLSearchParams({ from: pair.slice(0, 3), to: pair.slice(3) });
+  const data = await fetchJson(`https://api.frankfurter.app/${start}..?${params}`, {}, 4500);
+  const history = Object.entries(data?.rates || {})
+    .map(([date, rates]) => ({ date, close: valueAsNumber(rates?.[pair.slice(3)]) }))
+    .filter((point) => point.close != null)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .slice(-HISTORY_DAYS);
+  return summarize("Frankfurter (ECB)", history);
+}
+
+async function resilientSeries(kind, symbol, apiKey) {
+  if (apiKey) {
+    try {
+      return await fetchSeries(kind, symbol, apiKey);
+    } catch {
+      // The keyless fallback keeps quotes flowing through provider quotas.
+    }
+  }
+  return kind.fallback(symbol);
+}
+
+function oldestTimestamp(entries) {
+  const times = entries.map((entry) => Date.parse(entry?.updated_iso || "")).filter(Number.isFinite);
+  return times.length ? new Date(Math.min(...times)).toISOString() : new Date().toISOString();
+}
+
+async function getQuotes(kindId, query) {
+  const kind = KINDS[kindId];
+  const requested = parseList(kind, query[kindId]);
+  const configured = requested.length ? requested : parseList(kind, process.env[kind.env]);
+  const symbols = configured.length ? configured : kind.defaults;
+  const cacheKey = (symbol) => `${CACHE_PREFIX}:${kindId}:${symbol}`;
+  const apiKey = process.env.TWELVEDATA_API_KEY;
+  const results = await Promise.allSettled(symbols.map((symbol) => cachedRefresh(
+    cacheKey(symbol),
+    async () => ({ updated_iso: new Date().toISOString(), ...await resilientSeries(kind, symbol, apiKey) }),
+    { softTtlSeconds: kind.maxAge, hardTtlSeconds: kind.maxAge * STALE_TTL_FACTOR, retentionSeconds: 7 * 24 * 60 * 60, fresh: query.fresh === "1" }
+  )));
+  const quotes = {};
+  const errors = [];
+
+  results.forEach((result, index) => {
+    const symbol = symbols[index];
+    if (result.status === "rejected") {
+      errors.push(result.reason?.message || `${symbol} unavailable`);
+      return;
+    }
+    const { error, ...quote } = result.value;
+    if (error) errors.push(error);
+    quotes[symbol] = quote;
+  });
+
+  if (!Object.keys(quotes).length) throw new Error(errors[0] || `No ${kind.label} quotes available`);
+  const payload = {
+    updated_iso: oldestTimestamp(Object.values(quotes)),
+    source: apiKey ? `Twelve Data + ${kind.fallbackSource} fallback` : kind.fallbackSource,
+    session: "24/7",
+    in_hours: true,
+    partial: Object.keys(quotes).length !== symbols.length,
+    symbols: quotes
+  };
+  if (errors.length) {
+    payload.stale = Object.values(quotes).some((quote) => quote.stale);
+    payload.error = errors[0];
+  }
+  return payload;
+}
+
+export function getCrypto(query = {}) {
+  return getQuotes("crypto", query);
+}
+
+export function getFx(query = {}) {
+  return getQuotes("fx", query);
+}
@@ -0,0 +1,158 @@
+import { cacheGet, cacheSet } from "../lib/cache.js";
+import { fetchJson } from "../lib/request.js";
+import { isValidTimezone } from "../lib/time.js";
+
+export const DEFAULT_LOCATION = {
+  label: "Chicago, IL",
+  lat: 41.8781,
+  lon: -87.6298,
+  timezone: "America/Chicago"
+};
+
+function clean(value, max = 80) {
+  return String(value || "").trim().slice(0, max);
+}
+
+// An explicit tz= has to be a real zone; left through, it only fails later as
+// a RangeError from Intl.
+function explicitTimezone(value) {
+  const timezone = clean(value);
+  if (timezone && !isValidTimezone(timezone)) throw new Error("Invalid tz: use an IANA timezone such as America/Chicago");
+  return timezone;
+}
+
+function validCoordinate(value, min, max) {
+  const number = Number(value);
+  return Number.isFinite(number) && number >= min && number <= max ? number : null;
+}
+
+const NOMINATIM_USER_AGENT = process.env.NOMINATIM_USER_AGENT || process.env.NWS_USER_AGENT || "altay-dashboard-data-api";
+const GEOCODE_CACHE_PREFIX = "altay-dashboard:geocode-city:v1";
+const GEOCODE_TTL_SECONDS = 30 * 24 * 60 * 60;
+const US_STATES = {
+  al: "alabama", ak: "alaska", az: "arizona", ar: "arkansas", ca: "california", co: "colorado",
+  ct: "connecticut", de: "delaware", dc: "district of columbia", fl: "florida", ga: "georgia",
+  hi: "hawaii", id: "idaho", il: "illinois", in: "indiana", ia: "iowa", ks: "kansas",
+  ky: "kentucky", la: "louisiana", me: "maine", md: "maryland", ma: "massachusetts",
+  mi: "michigan", mn: "minnesota", ms: "mississippi", mo: "missouri", mt: "montana",
+  ne: "nebraska", nv: "nevada", nh: "new hampshire", nj: "new jersey", nm: "new mexico",
+  ny: "new york", nc: "north carolina", nd: "north dakota", oh: "ohio", ok: "oklahoma",
+  or: "oregon", pa: "pennsylvania", ri: "rhode island", sc: "south carolina", sd: "south dakota",
+  tn: "tennessee", tx: "texas", ut: "utah", vt: "vermont", va: "virginia", wa: "washington",
+  wv: "west virginia", wi: "wisconsin", wy: "wyoming"
+};
+
+// "Chicago", " chicago ,IL " and "CHICAGO, il" share one cache entry.
+export function normalizeCity(city) {
+  return clean(city, 120).toLowerCase().replace(/\s+/g, " ").replace(/\s*,\s*/g, ", ").replace(/[,.\s]+$/, "");
+}
+
+// Qualifiers after the first comma must match the result's region, country
+// name or country code; US state abbreviations are expanded first.
+function matchesQualifiers(result, qualifiers) {
+  const fields = [result.admin1, result.admin2, result.country, result.country_code]
+    .filter(Boolean)
+    .map((value) => value.toLowerCase());
+  return qualifiers.every((qualifier) => {
+    const wanted = [qualifier, US_STATES[qualifier]].filter(Boolean);
+    return fields.some((field) => wanted.includes(field));
+  });
+}
+
+async function openMeteoGeocode(city) {
+  const [name, ...qualifiers] = city.split(",").map((part) => part.trim()).filter(Boolean);
+  const params = new URLSearchParams({
+    name,
+    count: qualifiers.length ? "10" : "1",
+    language: "en",
+    format: "json"
+  });
+  const data = await fetchJson(`https://geocoding-api.open-meteo.com/v1/search?${params}`, {}, 2500);
+  const results = Array.isArray(data?.results) ? data.results : [];
+  const result = qualifiers.length ? results.find((item) => matchesQualifiers(item, qualifiers)) : results[0];
+  if (!result) return null;
+  return {
+    label: [result.name, result.admin1, result.country].filter(Boolean).join(", "),
+    lat: result.latitude,
+    lon: result.longitude,
+    timezone: result.timezone || DEFAULT_LOCATION.timezone
+  };
+}
+
+// Nominatim returns no timezone, so a fixed offset from the longitude stands
+// in (Etc/GMT signs are inverted) until a forecast provider reports the zone.
+function approximateTimezone(lon) {
+  const offset = Math.round(lon / 15);
+  return offset === 0 ? "Etc/GMT" : `Etc/GMT${offset > 0 ? "-" : "+"}${Math.abs(offset)}`;
+}
+
+async function nominatimGeocode(city) {
+  const params = new URLSearchParams({ q: city, format: "jsonv2", limit: "1", addressdetails: "1" });
+  const data = await fetchJson(`https://nominatim.openstreetmap.org/search?${params}`, {
+    headers: { "User-Agent": NOMINATIM_USER_AGENT }
+  }, 2500);
+  const result = Array.isArray(data) ? data[0] : null;
+  if (!result) return null;
+  const lat = Number(result.lat);
+  const lon = Number(result.lon);
+  const address = result.address || {};
+  return {
+    label: [address.city || address.town || address.village || result.name, address.state, address.country].filter(Boolean).join(", ")
+      || result.display_name,
+    lat,
+    lon,
+    timezone: approximateTimezone(lon),
+    timezone_approx: true
+  };
+}
+
+// A "not found" from the primary is trusted; only a failed call moves on to
+// the fallback geocoder. Approximate (fallback) answers are not cached.
+export async function geocodeCity(city) {
+  const normalized = normalizeCity(city);
+  const cacheKey = `${GEOCODE_CACHE_PREFIX}:${normalized}`;
+  const cached = await cacheGet(cacheKey);
+  if (cached?.location) return cached.location;
+
+  let result;
+  try {
+    result = await openMeteoGeocode(normalized);
+  } catch {
+    result = await nominatimGeocode(normalized);
+  }
+  if (!result) throw new Error(`City not found: ${city}`);
+  if (!result.timezone_approx) await cacheSet(cacheKey, { updated_iso: new Date().toISOString(), location: result }, GEOCODE_TTL_SECONDS);
+  return result;
+}
+
+function coordinatePair(value) {
+  const match = String(value || "").match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/);
+  if (!match) return null;
+  const lat = validCoordinate(match[1], -90, 90);
+  const lon = validCoordinate(match[2], -180, 180);
+  return lat != null && lon != null ? { lat, lon } : null;
+}
+
+// One entry of a cities= list: either "lat,lon" or a place name.
+export async function resolveLocationItem(item, timezone) {
+  const point = coordinatePair(item);
+  if (point) {
+    const label = `${point.lat.toFixed(3)}, ${point.lon.toFixed(3)}`;
+    const zone = explicitTimezone(timezone);
+    if (zone) return { label, ...point, timezone: zone };
+    return { label, ...point, timezone: approximateTimezone(point.lon), timezone_approx: true };
+  }
+  return geocodeCity(item);
+}
+
+// lat/lon win over city; with neither, the dashboard's home location applies.
+export async function resolveLocation(query = {}) {
+  const city = clean(query.city);
+  const lat = validCoordinate(query.lat, -90, 90);
+  const lon = validCoordinate(query.lon, -180, 180);
+  if (lat != null && lon != null) {
+    return { label: `${lat.toFixed(3)}, ${lon.toFixed(3)}`, lat, lon, timezone: explicitTimezone(query.tz) || DEFAULT_LOCATION.timezone };
+  }
+  if (city) return geocodeCity(city);
+  return DEFAULT_LOCATION;
+}
@@ -0,0 +1,146 @@
+import { ageInSeconds, cacheDel, cacheDriverName, cacheGet, cacheSet } from "../lib/cache.js";
+import { breakerStatus } from "../lib/breaker.js";
+import { cachedRefresh } from "../lib/refresh.js";
+import { fetchWithTimeout } from "../lib/request.js";
+import { DEFAULT_LOCATION } from "./geocoding.js";
+import { marketsFreshness } from "./markets.js";
+import { TRAVEL_MIDWEST_URL, trafficFreshness } from "./traffic.js";
+import { weatherFreshness } from "./weather.js";
+
+// Deep probes cost upstream quota, so one set of results is shared for
+// PROBE_TTL_SECONDS: through the cache across instances, and in memory in
+// case the cache itself is what is failing.
+const PROBES_KEY = "altay-dashboard:health:v1:probes";
+const PROBE_TTL_SECONDS = 60;
+const PROBE_TIMEOUT_MS = 3000;
+
+let recentProbes = null;
+
+function twelveDataKey() {
+  return process.env.TWELVEDATA_API_KEY;
+}
+
+function tomtomKey() {
+  return process.env.TOMTOM_API_KEY || process.env.TOMTOM_KEY;
+}
+
+function configured() {
+  return {
+    weather: true,
+    markets: Boolean(twelveDataKey()),
+    traffic: Boolean(tomtomKey()),
+    cache: Boolean(
+      (process.env.UPSTASH_REDIS_REST_URL || process.env.KV_REST_API_URL) &&
+      (process.env.UPSTASH_REDIS_REST_TOKEN || process.env.KV_REST_API_TOKEN)
+    ),
+    cache_driver: cacheDriverName()
+  };
+}
+
+// Probes go straight through fetchWithTimeout: one attempt, and no effect on
+// the circuit breakers that real traffic relies on.
+async function probe(name, url, { headers = {}, check } = {}) {
+  const started = Date.now();
+  try {
+    const response = await fetchWithTimeout(url, { headers }, PROBE_TIMEOUT_MS);
+    const problem = !response.ok ? `HTTP ${response.status}` : check ? await check(response) : null;
+    if (!check) await response.body?.cancel();
+    return { name, ok: !problem, latency_ms: Date.now() - started, ...(problem && { error: problem }) };
+  } catch (error) {
+    return { name, ok: false, latency_ms: Date.now() - started, error: error.message || "Probe failed" };
+  }
+}
+
+function skipped(name, reason) {
+  return { name, ok: null, skipped: reason };
+}
+
+async function cacheProbe() {
+  const started = Date.now();
+  const key = `${PROBES_KEY}:roundtrip`;
+  const token = Math.random().toString(36).slice(2);
+  const written = await cacheSet(key, token, 30);
+  const ok = written && await cacheGet(key) === token;
+  await cacheDel(key);
+  return {
+    name: "cache",
+    ok,
+    latency_ms: Date.now() - started,
+    driver: cacheDriverName(),
+    ...(!ok && { error: "Cache round trip failed" })
+  };
+}
+
+async function runProbes() {
+  const location = `latitude=${DEFAULT_LOCATION.lat}&longitude=${DEFAULT_LOCATION.lon}`;
+  const probes = await Promise.all([
+    probe("open-meteo", `https://api.open-meteo.com/v1/forecast?${location}&current=temperature_2m`),
+    // api_usage costs no credits; Twelve Data reports errors in a 200 body.
+    twelveDataKey()
+      ? probe("twelve-data", `https://api.twelvedata.com/api_usage?apikey=${encodeURIComponent(twelveDataKey())}`, {
+        check: async (response) => {
+          const body = await response.json().catch(() => null);
+          return body?.status === "error" ? body.message || "Twelve Data error" : null;
+        }
+      })
+      : skipped("twelve-data", "Not configured"),
+    probe("nasdaq", "https://api.nasdaq.com/api/quote/SPY/info?assetclass=etf", {
+      headers: { Accept: "application/json", "User-Agent": "Mozilla/5.0 (compatible; AltayDashboard/2.0)" }
+    }),
+    tomtomKey()
+      ? probe("tomtom", `https://api.tomtom.com/search/2/geocode/Chicago.json?limit=1&key=${encodeURIComponent(tomtomKey())}`)
+      : skipped("tomtom", "Not configured"),
+    probe("travel-midwest", TRAVEL_MIDWEST_URL),
+    cacheProbe()
+  ]);
+  return { updated_iso: new Date().toISOString(), probes };
+}
+
+async function sharedProbes() {
+  if (recentProbes && ageInSeconds(recentProbes) < PROBE_TTL_SECONDS) return recentProbes;
+  recentProbes = await cachedRefresh(PROBES_KEY, runProbes, {
+    softTtlSeconds: PROBE_TTL_SECONDS,
+    retentionSeconds: 5 * 60
+  });
+  return recentProbes;
+}
+
+async function sections() {
+  const [weather, markets, traffic] = await Promise.allSettled([weatherFreshness(), marketsFreshness(), trafficFreshness()]);
+  const read = (result) => result.status === "fulfilled" ? result.value : { state: "unknown", error: result.reason?.message };
+  return { weather: read(weather), markets: read(markets), traffic: read(traffic) };
+}
+
+// down: every upstream that was probed failed. degraded: any probe, the
+// cache or a breaker is failing, or a section is stale or missing.
+function overallStatus(probes, sectionStates, breakers) {
+  const upstream = probes.filter((item) => item.name !== "cache" && !item.skipped);
+  const failing = upstream.filter((item) => !item.ok);
+  if (upstream.length && failing.length === upstream.length) return "down";
+  const cache = probes.find((item) => item.name === "cache");
+  const staleSection = Object.values(sectionStates).some((section) => ["stale", "missing", "unknown"].includes(section.state));
+  if (failing.length || !cache?.ok || staleSection || breakers.some((breaker) => breaker.state !== "closed")) return "degraded";
+  return "ok";
+}
+
+export async function getHealth(query = {}) {
+  const base = {
+    service: "altay-dashboard-data-api",
+    timestamp: new Date().toISOString(),
+    configured: configured()
+  };
+  const breakers = await breakerStatus();
+  if (query.deep !== "1") return { ok: true, ...base, breakers };
+
+  const [{ updated_iso: probedIso, probes }, sectionStates] = await Promise.all([sharedProbes(), sections()]);
+  const status = overallStatus(probes, sectionStates, breakers);
+  return {
+    ok: status !== "down",
+    status,
+    ...base,
+    probed_iso: probedIso,
+    probes,
+    sections: sectionStates,
+    breakers
+  };
+}
@@ -0,0 +1,162 @@
+import crypto from "crypto";
+import { cachedRefresh } from "../lib/refresh.js";
+import { fetchJson } from "../lib/request.js";
+import { selectCorridors } from "./corridors.js";
+
+const CACHE_PREFIX = "altay-dashboard:incidents:v1";
+const CACHE_TTL_SECONDS = 5 * 60;
+const STALE_TTL_SECONDS = 15 * 60;
+const BBOX_PADDING_DEGREES = 0.01;
+const INCIDENT_FIELDS = "{incidents{type,geometry{type,coordinates},properties{id,iconCategory,magnitudeOfDelay,events{description,code},startTime,endTime,from,to,length,delay,roadNumbers}}}";
+const CATEGORIES = {
+  1: "accident",
+  2: "fog",
+  3: "dangerous_conditions",
+  4: "rain",
+  5: "ice",
+  6: "jam",
+  7: "lane_closed",
+  8: "road_closed",
+  9: "road_works",
+  10: "wind",
+  11: "flooding",
+  14: "broken_down_vehicle"
+};
+const SEVERITY_RANK = { severe: 4, major: 3, moderate: 2, minor: 1, unknown: 0 };
+
+function corridorBox(corridor) {
+  const points = [corridor.origin, ...corridor.waypoints, corridor.destination];
+  const lats = points.map(([lat]) => lat);
+  const lons = points.map(([, lon]) => lon);
+  return [
+    Math.min(...lons) - BBOX_PADDING_DEGREES,
+    Math.min(...lats) - BBOX_PADDING_DEGREES,
+    Math.max(...lons) + BBOX_PADDING_DEGREES,
+    Math.max(...lats) + BBOX_PADDING_DEGREES
+  ];
+}
+
+// Closures outrank TomTom's delay magnitude because they block the corridor
+// outright, even when the reported delay is still zero.
+function severity(category, magnitude) {
+  if (category === "road_closed") return "severe";
+  if (magnitude === 3) return "major";
+  if (magnitude === 2) return "moderate";
+  if (magnitude === 1) return "minor";
+  return category === "accident" ? "moderate" : "unknown";
+}
+
+function expectedDuration(endIso, now) {
+  const end = Date.parse(endIso || "");
+  if (!Number.isFinite(end)) return "unknown";
+  const hours = (end - now) / (60 * 60 * 1000);
+  if (hours <= 1) return "under_1h";
+  if (hours <= 12) return "hours";
+  return "multi_day";
+}
+
+function normalizeIncident(feature, now) {
+  const properties = feature?.properties || {};
+  if (!properties.id) return null;
+  const category = CATEGORIES[properties.iconCategory] || "other";
+  const coordinates = feature.geometry?.type === "Point"
+    ? [feature.geometry.coordinates]
+    : Array.isArray(feature.geometry?.coordinates) ? feature.geometry.coordinates : [];
+  const [lon, lat] = coordinates[0] || [];
+  const delay = Number(properties.delay);
+  return {
+    id: String(properties.id),
+    type: category,
+    severity: severity(category, properties.magnitudeOfDelay),
+    description: (properties.events || []).map((event) => event?.description).filter(Boolean).join("; ") || null,
+    road: Array.isArray(properties.roadNumbers) && properties.roadNumbers.length ? properties.roadNumbers.join("/") : null,
+    from: properties.from || null,
+    to: properties.to || null,
+    delay_min: Number.isFinite(delay) ? Math.round(delay / 60) : null,
+    length_m: Number.isFinite(Number(properties.length)) ? Number(properties.length) : null,
+    start_iso: properties.startTime || null,
+    end_iso: properties.endTime || null,
+    expected_duration: expectedDuration(properties.endTime, now),
+    lat: Number.isFinite(lat) ? lat : null,
+    lon: Number.isFinite(lon) ? lon : null,
+    geometry: feature.geometry || null
+  };
+}
+
+async function fetchCorridorIncidents(corridor, key, now) {
+  const params = new URLSearchParams({
+    key,
+    bbox: corridorBox(corridor).map((value) => value.toFixed(5)).join(","),
+    fields: INCIDENT_FIELDS,
+    language: "en-US",
+    timeValidityFilter: "present"
+  });
+  const data = await fetchJson(`https://api.tomtom.com/traffic/services/5/incidentDetails?${params}`, {}, 4300);
+  if (!Array.isArray(data?.incidents)) throw new Error(`Incident response incomplete for ${corridor.label}`);
+  return data.incidents.map((feature) => normalizeIncident(feature, now)).filter(Boolean);
+}
+
+function compareIncidents(a, b) {
+  return SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity] || (b.delay_min ?? 0) - (a.delay_min ?? 0);
+}
+
+async function fetchIncidents(corridors) {
+  const key = process.env.TOMTOM_API_KEY || process.env.TOMTOM_KEY;
+  if (!key) throw new Error("Traffic incidents are not configured");
+  const now = Date.now();
+  const results = await Promise.allSettled(corridors.map((corridor) => fetchCorridorIncidents(corridor, key, now)));
+  if (results.every((result) => result.status === "rejected")) throw results[0].reason;
+  const incidents = new Map();
+  results.forEach((result, index) => {
+    if (result.status !== "fulfilled") return;
+    for (const incident of result.value) {
+      const existing = incidents.get(incident.id) || { ...incident, corridors: [] };
+      existing.corridors.push(corridors[index].id);
+      incidents.set(incident.id, existing);
+    }
+  });
+  return {
+    updated_iso: new Date(now).toISOString(),
+    source: "TomTom",
+    corridors: corridors.map((corridor) => corridor.id),
+    partial: results.some((result) => result.status === "rejected"),
+    incidents: [...incidents.values()].sort(compareIncidents)
+  };
+}
+
+export async function incidentsForCorridors(corridors, { fresh = false } = {}) {
+  const hash = crypto.createHash("sha1").update(JSON.stringify(corridors)).digest("hex").slice(0, 16);
+  return cachedRefresh(`${CACHE_PREFIX}:${hash}`, () => fetchIncidents(corridors), {
+    softTtlSeconds: CACHE_TTL_SECONDS,
+    hardTtlSeconds: STALE_TTL_SECONDS,
+    fresh
+  });
+}
+
+export function incidentSummary(incident) {
+  const { geometry, corridors, ...summary } = incident;
+  return summary;
+}
+
+export function incidentsGeoJson(payload) {
+  return {
+    type: "FeatureCollection",
+    features: payload.incidents.filter((incident) => incident.geometry).map((incident) => ({
+      type: "Feature",
+      id: incident.id,
+      geometry: incident.geometry,
+      properties: { ...incidentSummary(incident), corridors: incident.corridors }
+    })),
+    properties: {
+      updated_iso: payload.updated_iso,
+      source: payload.source,
+      corridors: payload.corridors,
+      partial: payload.partial,
+      ...(payload.stale && { stale: true, error: payload.error })
+    }
+  };
+}
+
+export async function getIncidents(query = {}) {
+  return incidentsForCorridors(selectCorridors(query), { fresh: query.fresh === "1" });
+}
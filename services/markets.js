@@ -1,134 +1,410 @@
-import { cacheGet, cacheSet, ageInSeconds } from "../lib/cache.js";
+import { cacheGet, cacheSet } from "../lib/cache.js";
+import { cachedRefresh, describeFreshness } from "../lib/refresh.js";
 import { fetchJson } from "../lib/request.js";
+import { marketSession } from "../lib/market-calendar.js";
+import { marketStats } from "../lib/market-stats.js";
 
-const SYMBOLS = ["SPY", "QQQ", "IAU", "SLV"];
-const CACHE_KEY = "altay-dashboard:markets:v3";
+const DEFAULT_WATCHLIST = ["SPY", "QQQ", "IAU", "SLV"];
+const MAX_SYMBOLS = 12;
+const SYMBOL_PATTERN = /^[A-Z][A-Z0-9]{0,5}(?:[.-][A-Z]{1,2})?$/;
+const CACHE_PREFIX = "altay-dashboard:markets:v4";
+const SNAPSHOT_CACHE_KEY = "altay-dashboard:markets:v3";
 const LEGACY_CACHE_KEY = "last_valid_markets_data";
-const MARKET_TIMEZONE = "America/New_York";
+const INTERVAL_MINUTES = { "5min": 5, "15min": 15, "1h": 60 };
+const DEFAULT_RANGE = "5d";
+const RANGES = {
+  "1d": {
+    intervals: { "5min": 78, "15min": 26 },
+    sameDay: true,
+    dailyFallback: 2,
+    maxAge: { pre: 15 * 60, regular: 5 * 60, post: 15 * 60, closed: 6 * 60 * 60 }
+  },
+  "5d": {
+    intervals: { "1day": 6, "1h": 35 },
+    dailyFallback: 6,
+    maxAge: { pre: 60 * 60, regular: 15 * 60, post: 30 * 60, closed: 6 * 60 * 60 }
+  },
+  "1m": {
+    intervals: { "1day": 22 },
+    maxAge: { pre: 60 * 60, regular: 30 * 60, post: 30 * 60, closed: 6 * 60 * 60 }
+  },
+  "6m": {
+    intervals: { "1day": 126 },
+    maxAge: { pre: 2 * 60 * 60, regular: 60 * 60, post: 60 * 60, closed: 12 * 60 * 60 }
+  },
+  "1y": {
+    intervals: { "1day": 252 },
+    maxAge: { pre: 2 * 60 * 60, regular: 60 * 60, post: 60 * 60, closed: 12 * 60 * 60 }
+  }
+};
+const STATS_RANGE = "1y";
+const STATS_MAX_AGE_SECONDS = 12 * 60 * 60;
+const SERIES_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+// Past maxAge a series is still served while it refreshes in the background,
+// up to this multiple of maxAge.
+const STALE_TTL_FACTOR = 2;
+const DEFAULT_SMA_WINDOWS = [20, 50, 200];
+const DEFAULT_EMA_WINDOWS = [12, 26];
+const DEFAULT_VOLATILITY_WINDOW = 20;
+const ASSET_CLASS_TTL_SECONDS = 30 * 24 * 60 * 60;
+const NASDAQ_ASSET_CLASSES = ["stocks", "etf"];
+const KNOWN_ETFS = new Set([
+  "SPY", "QQQ", "IAU", "SLV", "GLD", "DIA", "IWM", "VOO", "VTI", "TLT",
+  "IEF", "HYG", "LQD", "EEM", "EFA", "XLE", "XLF", "XLK", "XLV", "ARKK", "USO", "UNG"
+]);
 
 function valueAsNumber(value) {
   const parsed = Number(value);
   return Number.isFinite(parsed) ? parsed : null;
 }
 
-function marketIsOpen(date = new Date()) {
-  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
-    timeZone: MARKET_TIMEZONE,
-    weekday: "short",
-    hour: "2-digit",
-    minute: "2-digit",
-    hour12: false
-  }).formatToParts(date).filter((part) => part.type !== "literal").map((part) => [part.type, part.value]));
-  const minutes = Number(parts.hour) * 60 + Number(parts.minute);
-  return !["Sat", "Sun"].includes(parts.weekday) && minutes >= 570 && minutes < 960;
+function parseSymbols(value) {
+  const symbols = [...new Set(String(value || "")
+    .split(",")
+    .map((symbol) => symbol.trim().toUpperCase())
+    .filter(Boolean))];
+  const invalid = symbols.filter((symbol) => !SYMBOL_PATTERN.test(symbol));
+  if (invalid.length) throw new Error(`Invalid market symbol: ${invalid.join(", ")}`);
+  if (symbols.length > MAX_SYMBOLS) throw new Error(`Invalid market symbol list: at most ${MAX_SYMBOLS} symbols`);
+  return symbols;
+}
+
+function resolveWatchlist(query) {
+  const requested = parseSymbols(query.symbols);
+  const watchlist = requested.length ? requested : parseSymbols(process.env.MARKET_SYMBOLS);
+  const symbols = watchlist.length ? watchlist : DEFAULT_WATCHLIST;
+  const [explicit] = parseSymbols(query.primary);
+  const [configured] = parseSymbols(process.env.MARKET_PRIMARY_SYMBOL);
+  const primary = explicit || (symbols.includes(configured) ? configured : symbols[0]);
+  if (symbols.includes(primary)) return { symbols, primary };
+  if (symbols.length >= MAX_SYMBOLS) throw new Error(`Invalid market symbol list: at most ${MAX_SYMBOLS} symbols`);
+  return { symbols: [primary, ...symbols], primary };
+}
+
+function resolveRange(query) {
+  const id = String(query.range || DEFAULT_RANGE).trim().toLowerCase();
+  const range = RANGES[id];
+  if (!range) throw new Error(`Invalid market range: ${id} (use ${Object.keys(RANGES).join(", ")})`);
+  const interval = String(query.interval || Object.keys(range.intervals)[0]).trim().toLowerCase();
+  if (!range.intervals[interval]) {
+    throw new Error(`Invalid market interval for ${id}: ${interval} (use ${Object.keys(range.intervals).join(", ")})`);
+  }
+  return { id, interval, points: range.intervals[interval], sameDay: Boolean(range.sameDay), maxAge: range.maxAge };
+}
+
+function seriesCacheKey(symbol, range) {
+  return `${CACHE_PREFIX}:series:${range.id}:${range.interval}:${symbol}`;
+}
+
+function assetClassCacheKey(symbol) {
+  return `${CACHE_PREFIX}:assetclass:${symbol}`;
+}
+
+function tradingDate(point) {
+  return String(point.date).slice(0, 10);
 }
 
-async function fetchSeries(symbol, apiKey) {
+function percentChange(price, reference) {
+  return reference ? ((price - reference) / reference) * 100 : 0;
+}
+
+// Points arrive oldest first and include at least one bar before the window, so
+// the day change is always measured against the prior session's close.
+function summarize(points, range, previousClose) {
+  const lastDate = tradingDate(points.at(-1));
+  const history = range.sameDay
+    ? points.filter((point) => tradingDate(point) === lastDate).slice(-range.points)
+    : points.slice(-range.points);
+  const before = points.slice(0, points.length - history.length);
+  const price = history.at(-1).close;
+  const previous = previousClose
+    ?? [...points].reverse().find((point) => tradingDate(point) < lastDate)?.close
+    ?? price;
+  const base = range.sameDay ? previous : before.at(-1)?.close ?? history[0].close;
+  return {
+    price,
+    change: price - previous,
+    percent_change: percentChange(price, previous),
+    range_change: price - base,
+    range_percent_change: percentChange(price, base),
+    history
+  };
+}
+
+async function fetchSeries(symbol, apiKey, range) {
   const params = new URLSearchParams({
     symbol,
-    interval: "1day",
-    outputsize: "8",
+    interval: range.interval,
+    outputsize: String(range.points + 2),
     apikey: apiKey
   });
   const data = await fetchJson(`https://api.twelvedata.com/time_series?${params}`, {}, 4300);
   if (data?.status === "error" || !Array.isArray(data?.values)) {
     throw new Error(`Market source rejected ${symbol}: ${data?.message || "No series"}`);
   }
-  const history = data.values
+  const points = data.values
     .map((point) => ({ date: point.datetime, close: valueAsNumber(point.close) }))
     .filter((point) => point.close != null)
-    .slice(0, 6)
     .reverse();
-  if (!history.length) throw new Error(`No market history for ${symbol}`);
-  const price = history.at(-1).close;
-  const previous = history.at(-2)?.close ?? price;
-  return {
-    price,
-    change: price - previous,
-    percent_change: previous ? ((price - previous) / previous) * 100 : 0,
-    history
-  };
+  if (!points.length) throw new Error(`No market history for ${symbol}`);
+  return { source: "Twelve Data", interval: range.interval, points };
 }
 
-async function fetchPublicSeries(symbol) {
-  const start = new Date(Date.now() - 28 * 24 * 60 * 60 * 1000);
-  const params = new URLSearchParams({
-    assetclass: "etf",
-    fromdate: start.toISOString().slice(0, 10),
-    limit: "10"
-  });
-  const data = await fetchJson(`https://api.nasdaq.com/api/quote/${symbol}/historical?${params}`, {
+function nasdaqDate(value) {
+  const match = String(value || "").match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  return match ? `${match[3]}-${match[1]}-${match[2]}` : String(value || "");
+}
+
+function nasdaqPrice(value) {
+  return valueAsNumber(String(value ?? "").replace(/[$,]/g, ""));
+}
+
+async function fetchNasdaq(symbol, path, params) {
+  const data = await fetchJson(`https://api.nasdaq.com/api/quote/${symbol}/${path}?${params}`, {
     headers: {
       Accept: "application/json",
       "User-Agent": "Mozilla/5.0 (compatible; AltayDashboard/2.0)"
     }
   }, 6000);
-  const rows = data?.data?.tradesTable?.rows;
-  const history = (Array.isArray(rows) ? rows : [])
-    .map((row) => ({
-      date: row.date,
-      close: valueAsNumber(String(row.close || "").replace(/[$,]/g, ""))
-    }))
+  return data?.data;
+}
+
+async function fetchPublicDaily(symbol, assetClass, range) {
+  const calendarDays = Math.ceil(range.points * 1.5) + 14;
+  const params = new URLSearchParams({
+    assetclass: assetClass,
+    fromdate: new Date(Date.now() - calendarDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+    limit: String(range.points + 2)
+  });
+  const rows = (await fetchNasdaq(symbol, "historical", params))?.tradesTable?.rows;
+  const points = (Array.isArray(rows) ? rows : [])
+    .map((row) => ({ date: nasdaqDate(row.date), close: nasdaqPrice(row.close) }))
     .filter((point) => point.close != null)
-    .slice(0, 8)
+    .slice(0, range.points + 2)
     .reverse();
-  if (history.length < 2) throw new Error(`No public market history for ${symbol}`);
-  const price = history.at(-1).close;
-  const previous = history.at(-2).close;
-  return {
-    price,
-    change: price - previous,
-    percent_change: previous ? ((price - previous) / previous) * 100 : 0,
-    history
-  };
+  if (points.length < 2) throw new Error(`No public market history for ${symbol}`);
+  return { source: "Nasdaq", interval: "1day", points };
+}
+
+// The chart feed only covers the current session, stamped as Eastern wall-clock
+// milliseconds, so bars are rebuilt by keeping the last tick in each bucket.
+async function fetchPublicIntraday(symbol, assetClass, range) {
+  const data = await fetchNasdaq(symbol, "chart", new URLSearchParams({ assetclass: assetClass }));
+  const bucketMs = INTERVAL_MINUTES[range.interval] * 60 * 1000;
+  const buckets = new Map();
+  for (const tick of Array.isArray(data?.chart) ? data.chart : []) {
+    const close = nasdaqPrice(tick?.y);
+    if (!Number.isFinite(tick?.x) || close == null) continue;
+    const start = Math.floor(tick.x / bucketMs) * bucketMs;
+    buckets.set(start, { date: new Date(start).toISOString().slice(0, 19).replace("T", " "), close });
+  }
+  const points = [...buckets.entries()].sort(([a], [b]) => a - b).map(([, point]) => point);
+  if (points.length < 2) throw new Error(`No public intraday series for ${symbol}`);
+  return { source: "Nasdaq", interval: range.interval, points, previous_close: nasdaqPrice(data?.previousClose) };
+}
+
+async function withAssetClass(symbol, fetcher) {
+  // Nasdaq rejects a quote requested under the wrong asset class, so known ETFs skip the guess
+  // and anything else remembers whichever class answered last time.
+  const remembered = KNOWN_ETFS.has(symbol) ? "etf" : await cacheGet(assetClassCacheKey(symbol));
+  const candidates = [...new Set([remembered, ...NASDAQ_ASSET_CLASSES].filter((assetClass) => NASDAQ_ASSET_CLASSES.includes(assetClass)))];
+  let lastError;
+  for (const assetClass of candidates) {
+    try {
+      const series = await fetcher(assetClass);
+      if (assetClass !== remembered) await cacheSet(assetClassCacheKey(symbol), assetClass, ASSET_CLASS_TTL_SECONDS);
+      return series;
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw lastError;
 }
 
-async function resilientSeries(symbol, apiKey) {
+async function fetchPublicSeries(symbol, range) {
+  if (range.interval === "1day") return withAssetClass(symbol, (assetClass) => fetchPublicDaily(symbol, assetClass, range));
+  if (range.sameDay) {
+    try {
+      return await withAssetClass(symbol, (assetClass) => fetchPublicIntraday(symbol, assetClass, range));
+    } catch {
+      // Daily closes still draw a usable sparkline when the intraday chart is unavailable.
+    }
+  }
+  const daily = { ...range, interval: "1day", points: RANGES[range.id].dailyFallback, sameDay: false };
+  return withAssetClass(symbol, (assetClass) => fetchPublicDaily(symbol, assetClass, daily));
+}
+
+async function resilientSeries(symbol, apiKey, range) {
+  let series;
   if (apiKey) {
     try {
-      return await fetchSeries(symbol, apiKey);
+      series = await fetchSeries(symbol, apiKey, range);
     } catch {
       // The public daily feed keeps the dashboard useful through provider quotas.
     }
   }
-  return fetchPublicSeries(symbol);
+  series ||= await fetchPublicSeries(symbol, range);
+  const served = series.interval === range.interval ? range : { ...range, sameDay: false, points: RANGES[range.id].dailyFallback };
+  return {
+    source: series.source,
+    interval: series.interval,
+    ...(series.interval !== range.interval && {
+      granularity_note: `${series.source} could not provide ${range.interval} bars for ${symbol}; showing ${series.interval} closes`
+    }),
+    ...summarize(series.points, served, series.previous_close)
+  };
 }
 
-export async function getMarkets(query = {}) {
-  const [currentCache, legacyCache] = await Promise.all([
-    cacheGet(CACHE_KEY),
+async function legacySymbols() {
+  const [snapshot, legacy] = await Promise.all([
+    cacheGet(SNAPSHOT_CACHE_KEY),
     cacheGet(LEGACY_CACHE_KEY)
   ]);
-  const cached = currentCache || legacyCache;
-  const inHours = marketIsOpen();
-  const maxAge = inHours ? 15 * 60 : 6 * 60 * 60;
-  if (cached && ageInSeconds(cached) < maxAge && query.fresh !== "1") {
-    return { ...cached, in_hours: inHours };
+  const cached = snapshot || legacy;
+  return Object.fromEntries(Object.entries(cached?.symbols || {}).map(([symbol, series]) => [
+    symbol,
+    { updated_iso: cached.updated_iso, ...series }
+  ]));
+}
+
+function oldestTimestamp(entries) {
+  const times = entries.map((entry) => Date.parse(entry?.updated_iso || "")).filter(Number.isFinite);
+  return times.length ? new Date(Math.min(...times)).toISOString() : new Date().toISOString();
+}
+
+function parseWindows(value, fallback, label) {
+  if (value == null || value === "") return fallback;
+  const windows = [...new Set(String(value).split(",").map((item) => Number(item.trim())))];
+  if (windows.length > 5 || windows.some((window) => !Number.isInteger(window) || window < 2 || window > 252)) {
+    throw new Error(`Invalid market ${label} windows: use up to 5 whole numbers between 2 and 252`);
   }
+  return windows.sort((a, b) => a - b);
+}
 
+function resolveStats(query) {
+  if (query.stats === "0") return null;
+  const [volatilityWindow] = parseWindows(query.vol, [DEFAULT_VOLATILITY_WINDOW], "vol");
+  return {
+    smaWindows: parseWindows(query.sma, DEFAULT_SMA_WINDOWS, "sma"),
+    emaWindows: parseWindows(query.ema, DEFAULT_EMA_WINDOWS, "ema"),
+    volatilityWindow
+  };
+}
+
+function loadSymbol(symbol, range, apiKey, options) {
+  return cachedRefresh(
+    seriesCacheKey(symbol, range),
+    async () => ({ updated_iso: new Date().toISOString(), ...await resilientSeries(symbol, apiKey, range) }),
+    { retentionSeconds: SERIES_RETENTION_SECONDS, ...options }
+  );
+}
+
+async function loadSeries(watchlist, range, maxAge, apiKey, force) {
+  const results = await Promise.allSettled(watchlist.map((symbol) => loadSymbol(symbol, range, apiKey, {
+    softTtlSeconds: maxAge,
+    hardTtlSeconds: maxAge * STALE_TTL_FACTOR,
+    fresh: force
+  })));
+  const legacyShape = range.id === DEFAULT_RANGE && range.interval === "1day";
+  const fallback = legacyShape && results.some((result) => result.status === "rejected") ? await legacySymbols() : {};
+  const series = {};
+  const errors = [];
+
+  results.forEach((result, index) => {
+    const symbol = watchlist[index];
+    if (result.status === "fulfilled") {
+      // A failed refresh comes back as the stale cached series plus its error.
+      const { error, ...entry } = result.value;
+      if (error) errors.push(error);
+      series[symbol] = entry;
+    } else {
+      errors.push(result.reason?.message || `${symbol} unavailable`);
+      if (fallback[symbol]) series[symbol] = { ...fallback[symbol], stale: true };
+    }
+  });
+  return { series, errors };
+}
+
+// The one-year series behind the indicators is best-effort: whatever is cached
+// is used, and a missing or aging series is refreshed in the background, so
+// stats never hold up the requested range, spend its credits or report errors.
+async function loadYearSeries(watchlist, apiKey) {
+  const range = resolveRange({ range: STATS_RANGE });
+  const results = await Promise.allSettled(watchlist.map((symbol) => loadSymbol(symbol, range, apiKey, {
+    softTtlSeconds: STATS_MAX_AGE_SECONDS,
+    hardTtlSeconds: SERIES_RETENTION_SECONDS,
+    wait: false
+  })));
+  return Object.fromEntries(results.map((result, index) => [
+    watchlist[index],
+    result.status === "fulfilled" ? result.value : null
+  ]));
+}
+
+// Indicators come from the cached one-year daily series, with today's close
+// taken from the requested range so they track the live price.
+function statsFor(entry, year, options) {
+  if (!year?.history?.length || year.interval !== "1day") return null;
+  const points = [...year.history];
+  const liveDate = String(entry.history?.at(-1)?.date || "").slice(0, 10);
+  const live = { date: liveDate, close: entry.price };
+  if (liveDate === points.at(-1).date) points[points.length - 1] = live;
+  else if (liveDate > points.at(-1).date) points.push(live);
+  return marketStats(points, options);
+}
+
+export async function getMarkets(query = {}) {
+  const { symbols: watchlist, primary } = resolveWatchlist(query);
+  const range = resolveRange(query);
+  const statsOptions = resolveStats(query);
+  const calendar = marketSession();
   const apiKey = process.env.TWELVEDATA_API_KEY;
+  const force = query.fresh === "1";
+  const statsRange = resolveRange({ range: STATS_RANGE });
+  const needsYear = statsOptions && (range.id !== statsRange.id || range.interval !== statsRange.interval);
+
+  const [{ series: symbols, errors }, year] = await Promise.all([
+    loadSeries(watchlist, range, range.maxAge[calendar.session], apiKey, force),
+    needsYear ? loadYearSeries(watchlist, apiKey) : null
+  ]);
 
-  try {
-    const results = await Promise.allSettled(SYMBOLS.map((symbol) => resilientSeries(symbol, apiKey)));
-    const symbols = {};
-    for (let index = 0; index < SYMBOLS.length; index += 1) {
-      const symbol = SYMBOLS[index];
-      const result = results[index];
-      if (result.status === "fulfilled") symbols[symbol] = result.value;
-      else if (cached?.symbols?.[symbol]) symbols[symbol] = cached.symbols[symbol];
+  if (!symbols[primary]) {
+    throw new Error(`Primary market signal unavailable (${primary})${errors.length ? `: ${errors[0]}` : ""}`);
+  }
+  if (statsOptions) {
+    const yearSeries = year || symbols;
+    for (const [symbol, entry] of Object.entries(symbols)) {
+      symbols[symbol] = { ...entry, stats: statsFor(entry, yearSeries[symbol], statsOptions) };
     }
-    if (!symbols.SPY) throw new Error("Primary market signal unavailable");
-    const payload = {
-      updated_iso: new Date().toISOString(),
-      source: apiKey ? "Twelve Data + Nasdaq fallback" : "Nasdaq",
-      in_hours: inHours,
-      partial: Object.keys(symbols).length !== SYMBOLS.length,
-      symbols
-    };
-    await cacheSet(CACHE_KEY, payload, 7 * 24 * 60 * 60);
-    return payload;
-  } catch (error) {
-    if (cached) return { ...cached, in_hours: inHours, stale: true, error: error.message };
-    throw error;
   }
+  const payload = {
+    updated_iso: oldestTimestamp(Object.values(symbols)),
+    source: apiKey ? "Twelve Data + Nasdaq fallback" : "Nasdaq",
+    in_hours: calendar.session === "regular",
+    ...calendar,
+    range: range.id,
+    interval: range.interval,
+    primary,
+    watchlist,
+    partial: Object.keys(symbols).length !== watchlist.length,
+    symbols
+  };
+  const notes = Object.values(symbols).map((series) => series.granularity_note).filter(Boolean);
+  if (notes.length) payload.notes = notes;
+  if (errors.length) {
+    payload.stale = Object.values(symbols).some((series) => series.stale);
+    payload.error = errors[0];
+  }
+  return payload;
+}
+
+// Cache state of the default watchlist, for /api/health. While the market is
+// shut the last close stays current, so the series never count as stale.
+export async function marketsFreshness() {
+  const { symbols } = resolveWatchlist({});
+  const range = resolveRange({});
+  const { session } = marketSession();
+  const maxAge = range.maxAge[session];
+  const cached = await Promise.all(symbols.map((symbol) => cacheGet(seriesCacheKey(symbol, range))));
+  return describeFreshness(cached, maxAge, session === "closed" ? Infinity : maxAge * STALE_TTL_FACTOR);
 }
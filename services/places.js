@@ -0,0 +1,356 @@
+import crypto from "crypto";
+import { cacheDriverName, cacheGet, cacheSet } from "../lib/cache.js";
+import { distanceMeters } from "../lib/geo.js";
+import { fetchJson } from "../lib/request.js";
+import { isValidTimezone } from "../lib/time.js";
+
+const TOMTOM_KEY = process.env.TOMTOM_API_KEY || process.env.TOMTOM_KEY;
+const PROFILE_PREFIX = "altay-dashboard:places:v1";
+const GEOCODE_PREFIX = "altay-dashboard:geocode:v1";
+const GEOCODE_TTL_SECONDS = 30 * 24 * 60 * 60;
+const DEFAULT_PROFILE = "default";
+const MAX_PLACES = 50;
+const NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const CANDIDATE_PREFIX = "altay-dashboard:place-candidates:v1";
+const CANDIDATE_TTL_SECONDS = 24 * 60 * 60;
+const CANDIDATE_PATTERN = /^cand_[0-9a-f]{12}$/;
+const COORDINATE_PATTERN = /^-?\d{1,2}(\.\d+)?\s*,\s*-?\d{1,3}(\.\d+)?$/;
+const SUGGEST_PREFIX = "altay-dashboard:place-suggest:v1";
+const SUGGEST_TTL_SECONDS = 60 * 60;
+const SUGGEST_MIN_LENGTH = 3;
+const SUGGEST_MAX_LIMIT = 10;
+const AMBIGUOUS_SCORE_RATIO = 0.9;
+const AMBIGUOUS_DISTANCE_M = 1000;
+const pendingSuggestions = new Map();
+
+// Bias center (downtown Chicago)
+const CHI_BIAS = { lat: 41.881832, lon: -87.623177 };
+const CHI_LOCALITY = "Chicago, IL";
+const US_STATES = /\b(AL|AK|AZ|AR|CA|CO|CT|DE|FL|GA|HI|ID|IL|IN|IA|KS|KY|LA|ME|MD|MA|MI|MN|MS|MO|MT|NE|NV|NH|NJ|NM|NY|NC|ND|OH|OK|OR|PA|RI|SC|SD|TN|TX|UT|VT|VA|WA|WV|WI|WY)\b/i;
+
+function clampLen(s, max) {
+  const v = String(s ?? "").trim();
+  return v.length > max ? v.slice(0, max) : v;
+}
+
+function validName(value, kind) {
+  const name = String(value ?? "").trim().toLowerCase().replace(/^@/, "");
+  if (!NAME_PATTERN.test(name)) throw new Error(`Invalid ${kind} name: use up to 32 letters, digits, _ or -`);
+  return name;
+}
+
+export function parseBias(value) {
+  const [lat, lon] = String(value ?? "").split(",").map((part) => Number(part.trim()));
+  if (!(Math.abs(lat) <= 90) || !(Math.abs(lon) <= 180)) throw new Error("Invalid bias: use lat,lon");
+  return { lat, lon };
+}
+
+function parseCountry(value) {
+  const country = String(value ?? "").trim().toUpperCase();
+  if (!/^[A-Z]{2}(,[A-Z]{2}){0,9}$/.test(country)) throw new Error("Invalid country: use ISO 3166 alpha-2 codes such as US or US,CA");
+  return country;
+}
+
+function parseLanguage(value) {
+  const language = String(value ?? "").trim();
+  if (!/^[a-z]{2}(-[A-Z]{2})?$/.test(language)) throw new Error("Invalid language: use a tag such as en-US");
+  return language;
+}
+
+function profileKey(profile) {
+  return `${PROFILE_PREFIX}:${profile}`;
+}
+
+async function loadProfile(profile) {
+  const doc = await cacheGet(profileKey(profile));
+  return {
+    settings: doc?.settings && typeof doc.settings === "object" ? doc.settings : {},
+    places: doc?.places && typeof doc.places === "object" ? doc.places : {}
+  };
+}
+
+// Profiles are kept without a TTL. The memory driver is per instance and
+// evicts under load, so saved places would vanish or differ between
+// instances; writes need the REST cache (or CACHE_DRIVER=file under vercel dev).
+async function storeProfile(profile, doc) {
+  if (cacheDriverName() === "memory") {
+    console.warn("Saved places need a persistent cache: set KV_REST_API_URL/KV_REST_API_TOKEN or CACHE_DRIVER");
+    throw new Error("Saved places storage is not configured");
+  }
+  const saved = await cacheSet(profileKey(profile), { ...doc, updated_iso: new Date().toISOString() });
+  if (!saved) throw new Error("Saved places storage is not configured");
+}
+
+function envBias() {
+  return process.env.COMMUTE_BIAS ? parseBias(process.env.COMMUTE_BIAS) : null;
+}
+
+// Precedence for every geocoding setting: query parameter, then the profile's
+// saved settings, then COMMUTE_* env, then the original Chicago defaults. The
+// ", Chicago, IL" suffix only survives when nobody moved the bias point.
+function geoContext(profile, { settings, places }, query = {}) {
+  const customBias = query.bias ? parseBias(query.bias) : settings.bias || envBias();
+  let locality = query.locality ?? settings.locality ?? process.env.COMMUTE_LOCALITY;
+  if (locality == null) locality = customBias ? "" : CHI_LOCALITY;
+  const context = {
+    profile,
+    places,
+    bias: customBias || CHI_BIAS,
+    country: query.country ? parseCountry(query.country) : settings.country || process.env.COMMUTE_COUNTRY || "US",
+    language: settings.language || "en-US",
+    locality: clampLen(locality, 80),
+    timezone: settings.timezone || null
+  };
+  const defaults = profile === DEFAULT_PROFILE && !customBias && context.country === "US" && context.locality === CHI_LOCALITY;
+  return {
+    ...context,
+    key: defaults ? "" : `profile=${profile};bias=${context.bias.lat},${context.bias.lon};country=${context.country};locality=${context.locality}`
+  };
+}
+
+export async function resolveGeoContext(query = {}) {
+  const profile = query.profile ? validName(query.profile, "profile") : DEFAULT_PROFILE;
+  return geoContext(profile, await loadProfile(profile), query);
+}
+
+// Heuristic: If the user didn't include an obvious locality, assume the
+// context's locality (Chicago unless configured otherwise).
+function normalizeQuery(q, locality) {
+  const s = String(q || "").trim();
+  if (!s || !locality) return s;
+
+  const lower = s.toLowerCase();
+  const [city, region] = locality.toLowerCase().split(",").map((part) => part.trim());
+
+  const hasCity = Boolean(city) && lower.includes(city);
+  const hasRegion = Boolean(region) && new RegExp(`\\b${region.replace(/[^a-z0-9 ]/g, "")}\\b`).test(lower);
+  const hasZip = /\b\d{5}(-\d{4})?\b/.test(lower);
+  const hasComma = s.includes(",");
+  const hasStateAbbrev = US_STATES.test(s);
+
+  if (hasCity || hasRegion || hasZip || (hasComma && hasStateAbbrev)) return s;
+  return `${s}, ${locality}`;
+}
+
+function geocodeKey(query, context) {
+  const raw = `${query}||${context.country}||${context.language}||${context.bias.lat.toFixed(3)},${context.bias.lon.toFixed(3)}`.toLowerCase();
+  return `${GEOCODE_PREFIX}:${crypto.createHash("sha1").update(raw).digest("hex")}`;
+}
+
+function candidateId(result, lat, lon) {
+  const raw = result?.id ? String(result.id) : `${lat.toFixed(6)},${lon.toFixed(6)}`;
+  return `cand_${crypto.createHash("sha1").update(raw).digest("hex").slice(0, 12)}`;
+}
+
+function candidateKey(id) {
+  return `${CANDIDATE_PREFIX}:${id}`;
+}
+
+function toCandidate(result, context, fallbackLabel) {
+  const lat = Number(result?.position?.lat);
+  const lon = Number(result?.position?.lon);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  const label =
+    result?.address?.freeformAddress ||
+    result?.poi?.name ||
+    result?.address?.municipality ||
+    fallbackLabel;
+  return {
+    id: candidateId(result, lat, lon),
+    label,
+    name: result?.poi?.name || null,
+    type: result?.type || null,
+    lat,
+    lon,
+    distance_m: Math.round(Number.isFinite(result?.dist) ? result.dist : distanceMeters(context.bias, { lat, lon })),
+    score: Number.isFinite(result?.score) ? Number(result.score.toFixed(3)) : null
+  };
+}
+
+// Candidates are remembered by id so a pick from /api/places/suggest can be
+// passed back as from=cand_... without searching again. On the memory driver
+// an id only resolves on the instance that served the suggestion.
+async function rememberCandidates(candidates) {
+  await Promise.all(candidates.map((candidate) => cacheSet(candidateKey(candidate.id), candidate, CANDIDATE_TTL_SECONDS)));
+}
+
+async function searchCandidates(query, context, { limit = 5, typeahead = false } = {}) {
+  const qs = new URLSearchParams({
+    key: TOMTOM_KEY,
+    limit: String(limit),
+    countrySet: context.country,
+    language: context.language,
+    lat: String(context.bias.lat),
+    lon: String(context.bias.lon)
+  });
+  if (typeahead) qs.set("typeahead", "true");
+
+  const url = `https://api.tomtom.com/search/2/search/${encodeURIComponent(
+    query
+  )}.json?${qs.toString()}`;
+
+  const data = await fetchJson(url, {}, 4500);
+
+  const results = Array.isArray(data?.results) ? data.results : [];
+  return results.map((result) => toCandidate(result, context, query)).filter(Boolean);
+}
+
+// A second result scoring close to the first but sitting somewhere else means
+// the text names several places ("Main St"); guessing would route to the wrong one.
+function isAmbiguous(candidates) {
+  const [first, second] = candidates;
+  if (!first || !second || first.score == null || second.score == null) return false;
+  return second.score >= first.score * AMBIGUOUS_SCORE_RATIO
+    && distanceMeters(first, second) > AMBIGUOUS_DISTANCE_M
+    && first.label !== second.label;
+}
+
+export async function geocode(raw, context) {
+  const query = normalizeQuery(raw, context.locality);
+  const key = geocodeKey(query, context);
+  const cached = await cacheGet(key);
+  if (cached?.position) return cached.position;
+  if (!TOMTOM_KEY) throw new Error("Geocoding is not configured");
+
+  const candidates = await searchCandidates(query, context);
+  if (!candidates.length) throw new Error(`Search failed for "${query}"`);
+  if (isAmbiguous(candidates)) {
+    await rememberCandidates(candidates);
+    const error = new Error(`Ambiguous place "${raw}": pick a candidate id or pass lat,lon`);
+    error.candidates = candidates;
+    throw error;
+  }
+
+  const { label, lat, lon } = candidates[0];
+  const position = { label, lat, lon };
+  await cacheSet(key, { updated_iso: new Date().toISOString(), position }, GEOCODE_TTL_SECONDS);
+  return position;
+}
+
+// "@name" refers to a saved place in the context's profile, "lat,lon" and
+// "cand_..." ids are taken as given; anything else is geocoded (and cached)
+// with the context's bias, country and locality.
+export async function resolveEndpoint(raw, context) {
+  if (COORDINATE_PATTERN.test(raw)) {
+    const { lat, lon } = parseBias(raw);
+    return { label: `${lat.toFixed(5)}, ${lon.toFixed(5)}`, lat, lon };
+  }
+  if (CANDIDATE_PATTERN.test(raw)) {
+    const candidate = await cacheGet(candidateKey(raw));
+    if (!candidate) throw new Error(`Unknown place ${raw}: search again with /api/places/suggest`);
+    return { label: candidate.label, lat: candidate.lat, lon: candidate.lon };
+  }
+  if (!raw.startsWith("@")) return geocode(raw, context);
+  const name = validName(raw, "place");
+  const place = context.places[name];
+  if (!place) throw new Error(`Unknown place @${name} in profile ${context.profile}`);
+  return { label: place.label, lat: place.lat, lon: place.lon };
+}
+
+function suggestKey(query, context, limit) {
+  const raw = `${query}||${limit}||${context.country}||${context.language}||${context.bias.lat.toFixed(2)},${context.bias.lon.toFixed(2)}`;
+  return `${SUGGEST_PREFIX}:${crypto.createHash("sha1").update(raw.toLowerCase().replace(/\s+/g, " ")).digest("hex")}`;
+}
+
+// Keystrokes from the widget arrive in bursts: identical prefixes are served
+// from the cache, and concurrent misses for the same text share one upstream call.
+export async function suggestPlaces(query = {}) {
+  const text = clampLen(query.q, 120);
+  const requestedLimit = Number.parseInt(query.limit, 10);
+  const limit = Number.isFinite(requestedLimit) ? Math.min(SUGGEST_MAX_LIMIT, Math.max(1, requestedLimit)) : 5;
+  const context = await resolveGeoContext(query);
+  const base = { query: text, profile: context.profile, bias: context.bias, country: context.country };
+  if (text.length < SUGGEST_MIN_LENGTH) return { ...base, candidates: [], note: `Type at least ${SUGGEST_MIN_LENGTH} characters` };
+  if (!TOMTOM_KEY) throw new Error("Geocoding is not configured");
+
+  const key = suggestKey(text, context, limit);
+  const cached = await cacheGet(key);
+  if (cached?.candidates) return { ...base, updated_iso: cached.updated_iso, candidates: cached.candidates };
+
+  if (!pendingSuggestions.has(key)) {
+    pendingSuggestions.set(key, (async () => {
+      const candidates = await searchCandidates(text, context, { limit, typeahead: true });
+      const out = { updated_iso: new Date().toISOString(), candidates };
+      await Promise.all([cacheSet(key, out, SUGGEST_TTL_SECONDS), rememberCandidates(candidates)]);
+      return out;
+    })().finally(() => pendingSuggestions.delete(key)));
+  }
+  const out = await pendingSuggestions.get(key);
+  return { ...base, updated_iso: out.updated_iso, candidates: out.candidates };
+}
+
+// Coordinates and settings can point at someone's home, so callers without
+// the places token only see the saved names.
+export async function getPlaces(query = {}, { detailed = false } = {}) {
+  const profile = query.profile ? validName(query.profile, "profile") : DEFAULT_PROFILE;
+  const { settings, places } = await loadProfile(profile);
+  const sorted = Object.values(places).sort((a, b) => a.name.localeCompare(b.name));
+  if (!detailed) return { profile, places: sorted.map((place) => ({ name: place.name })) };
+  return { profile, settings, places: sorted };
+}
+
+function validSettings(input, current) {
+  const settings = { ...current };
+  for (const [field, value] of Object.entries(input || {})) {
+    if (value === null || value === "") {
+      delete settings[field];
+    } else if (field === "bias") {
+      settings.bias = typeof value === "string" ? parseBias(value) : parseBias(`${value?.lat},${value?.lon}`);
+    } else if (field === "country") {
+      settings.country = parseCountry(value);
+    } else if (field === "language") {
+      settings.language = parseLanguage(value);
+    } else if (field === "locality") {
+      settings.locality = clampLen(value, 80);
+    } else if (field === "timezone") {
+      if (!isValidTimezone(String(value))) throw new Error(`Invalid timezone: ${value}`);
+      settings.timezone = String(value);
+    } else {
+      throw new Error(`Invalid setting: ${field}`);
+    }
+  }
+  return settings;
+}
+
+// Body: { name, query } or { name, lat, lon, label } to save a place, and/or
+// { settings: { bias, country, language, locality, timezone } } for the profile.
+export async function savePlaces(query = {}, body = {}) {
+  const profile = query.profile || body.profile ? validName(query.profile || body.profile, "profile") : DEFAULT_PROFILE;
+  const doc = await loadProfile(profile);
+  if (!body.name && !body.settings) throw new Error("Provide a place name or settings");
+  if (body.settings) doc.settings = validSettings(body.settings, doc.settings);
+
+  let place = null;
+  if (body.name) {
+    const name = validName(body.name, "place");
+    if (!doc.places[name] && Object.keys(doc.places).length >= MAX_PLACES) {
+      throw new Error(`Invalid place: a profile holds at most ${MAX_PLACES} places`);
+    }
+    let position;
+    if (body.lat != null || body.lon != null) {
+      const { lat, lon } = parseBias(`${body.lat},${body.lon}`);
+      position = { label: clampLen(body.label, 160) || `${lat.toFixed(5)}, ${lon.toFixed(5)}`, lat, lon };
+    } else {
+      const text = clampLen(body.query, 160);
+      if (!text) throw new Error("Provide a query, candidate id or lat/lon for the place");
+      if (!TOMTOM_KEY) throw new Error("Geocoding is not configured");
+      position = await resolveEndpoint(text, geoContext(profile, doc));
+      if (body.label) position = { ...position, label: clampLen(body.label, 160) };
+    }
+    place = { name, ...position, ...(body.query && { query: clampLen(body.query, 160) }), updated_iso: new Date().toISOString() };
+    doc.places[name] = place;
+  }
+
+  await storeProfile(profile, doc);
+  return { profile, settings: doc.settings, place };
+}
+
+export async function deletePlace(query = {}) {
+  const profile = query.profile ? validName(query.profile, "profile") : DEFAULT_PROFILE;
+  const name = validName(query.name, "place");
+  const doc = await loadProfile(profile);
+  if (!doc.places[name]) throw new Error(`Unknown place @${name} in profile ${profile}`);
+  delete doc.places[name];
+  await storeProfile(profile, doc);
+  return { profile, deleted: name };
+}
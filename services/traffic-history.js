@@ -0,0 +1,151 @@
+import { cacheListPush, cacheListRange, cacheSetIfAbsent } from "../lib/cache.js";
+import { addDays, zonedParts } from "../lib/time.js";
+import { selectCorridors } from "./corridors.js";
+
+const CACHE_PREFIX = "altay-dashboard:traffic-history:v1";
+const SLOT_MINUTES = 15;
+const DAY_RETENTION_SECONDS = 8 * 24 * 60 * 60;
+const DAY_MAX_SAMPLES = 24 * 60;
+const BUCKET_MAX_SAMPLES = 36;
+const BUCKET_RETENTION_SECONDS = 90 * 24 * 60 * 60;
+const MIN_TYPICAL_SAMPLES = 3;
+const MIN_TYPICAL_DATES = 2;
+const MAX_HISTORY_DAYS = 7;
+
+// Samples share a bucket when they fall in the same weekday and 15-minute slot
+// of the corridor's local time, e.g. "Tue 08:00" covers 08:00-08:14.
+function bucketFor(date, timezone) {
+  const parts = zonedParts(date, timezone);
+  const slot = Math.floor(parts.minutes / SLOT_MINUTES) * SLOT_MINUTES;
+  const time = `${String(Math.floor(slot / 60)).padStart(2, "0")}:${String(slot % 60).padStart(2, "0")}`;
+  return { weekday: parts.weekday, time, label: `${parts.weekday} ${time}` };
+}
+
+function dayKey(id, localDate) {
+  return `${CACHE_PREFIX}:${id}:day:${localDate}`;
+}
+
+function bucketKey(id, bucket) {
+  return `${CACHE_PREFIX}:${id}:bucket:${bucket.weekday}:${bucket.time}`;
+}
+
+// Claims a recording slot for one corridor, so overlapping corridor selections
+// that refresh at the same time record it once. A store that cannot answer
+// (null) still records; its list writes fail the same way.
+async function claim(key, ttlSeconds) {
+  return await cacheSetIfAbsent(`${CACHE_PREFIX}:seen:${key}`, 1, ttlSeconds) !== false;
+}
+
+function numberOrNull(value) {
+  return Number.isFinite(value) ? value : null;
+}
+
+function median(values) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function delta(now, typical, digits) {
+  return Number.isFinite(now) && Number.isFinite(typical) ? Number((now - typical).toFixed(digits)) : null;
+}
+
+// Each corridor gets at most one day-series sample per minute and one
+// weekday-bucket sample per slot and date, however many selections include it.
+export async function recordTrafficSamples(corridors, routes, date = new Date()) {
+  await Promise.all(routes.map(async (route) => {
+    const corridor = corridors.find((item) => item.id === route.id);
+    if (!corridor) return null;
+    const sample = {
+      t: date.toISOString(),
+      ratio: numberOrNull(route.ratio),
+      delay_min: numberOrNull(route.delay_min),
+      speed_mph: numberOrNull(route.speed_mph),
+      travel_time_min: numberOrNull(route.travel_time_min)
+    };
+    const localDate = zonedParts(date, corridor.timezone).date;
+    const bucket = bucketFor(date, corridor.timezone);
+    const [minuteFree, slotFree] = await Promise.all([
+      claim(`${corridor.id}:${sample.t.slice(0, 16)}`, 2 * 60),
+      claim(`${corridor.id}:${localDate}:${bucket.time}`, 2 * SLOT_MINUTES * 60)
+    ]);
+    return Promise.all([
+      minuteFree && cacheListPush(dayKey(corridor.id, localDate), sample, DAY_MAX_SAMPLES, DAY_RETENTION_SECONDS),
+      slotFree && cacheListPush(bucketKey(corridor.id, bucket), sample, BUCKET_MAX_SAMPLES, BUCKET_RETENTION_SECONDS)
+    ]);
+  }));
+}
+
+export async function typicalBaselines(corridors, date = new Date()) {
+  const baselines = await Promise.all(corridors.map(async (corridor) => {
+    const bucket = bucketFor(date, corridor.timezone);
+    // Today's samples would make "typical" echo the current traffic, so the
+    // baseline only uses earlier dates, and needs several of them.
+    const today = zonedParts(date, corridor.timezone).date;
+    const dates = new Set();
+    const samples = (await cacheListRange(bucketKey(corridor.id, bucket))).filter((sample) => {
+      const sampleDate = sample?.t ? zonedParts(new Date(sample.t), corridor.timezone).date : today;
+      if (sampleDate === today) return false;
+      dates.add(sampleDate);
+      return true;
+    });
+    if (samples.length < MIN_TYPICAL_SAMPLES || dates.size < MIN_TYPICAL_DATES) return [corridor.id, null];
+    return [corridor.id, {
+      bucket: bucket.label,
+      timezone: corridor.timezone,
+      samples: samples.length,
+      ratio: median(samples.map((sample) => sample?.ratio)),
+      delay_min: median(samples.map((sample) => sample?.delay_min)),
+      speed_mph: median(samples.map((sample) => sample?.speed_mph))
+    }];
+  }));
+  return new Map(baselines);
+}
+
+// Positive deltas mean slower than usual for ratio and delay, faster for speed.
+export function compareToTypical(route, typical) {
+  if (!typical) return null;
+  const ratio = delta(route.ratio, typical.ratio, 3);
+  const speed = delta(route.speed_mph, typical.speed_mph, 1);
+  const relative = ratio != null && typical.ratio
+    ? ratio / typical.ratio
+    : speed != null && typical.speed_mph ? -speed / typical.speed_mph : null;
+  let label = null;
+  if (relative != null) label = relative > 0.1 ? "worse" : relative < -0.1 ? "better" : "typical";
+  return {
+    label,
+    ratio,
+    delay_min: delta(route.delay_min, typical.delay_min, 1),
+    speed_mph: speed
+  };
+}
+
+function recentLocalDates(timezone, days, date = new Date()) {
+  const today = zonedParts(date, timezone).date;
+  return Array.from({ length: days }, (_, index) => addDays(today, index - days + 1));
+}
+
+export async function getTrafficHistory(query = {}) {
+  const corridors = selectCorridors(query);
+  const requestedDays = Number.parseInt(query.days, 10);
+  const days = Number.isFinite(requestedDays) ? Math.min(MAX_HISTORY_DAYS, Math.max(1, requestedDays)) : 1;
+  const series = await Promise.all(corridors.map(async (corridor) => {
+    const lists = await Promise.all(recentLocalDates(corridor.timezone, days)
+      .map((localDate) => cacheListRange(dayKey(corridor.id, localDate))));
+    const points = lists.flat().filter((sample) => sample?.t).sort((a, b) => a.t.localeCompare(b.t));
+    return {
+      id: corridor.id,
+      label: corridor.label,
+      timezone: corridor.timezone,
+      samples: points.length,
+      series: points
+    };
+  }));
+  return {
+    updated_iso: new Date().toISOString(),
+    days,
+    slot_minutes: SLOT_MINUTES,
+    corridors: series
+  };
+}
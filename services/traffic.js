@@ -1,15 +1,22 @@
-import { cacheGet, cacheSet, ageInSeconds } from "../lib/cache.js";
+import crypto from "crypto";
+import { cacheGet } from "../lib/cache.js";
+import { cachedRefresh, describeFreshness } from "../lib/refresh.js";
 import { fetchJson } from "../lib/request.js";
+import { selectCorridors } from "./corridors.js";
+import { incidentSummary, incidentsForCorridors } from "./incidents.js";
+import { compareToTypical, recordTrafficSamples, typicalBaselines } from "./traffic-history.js";
 
-const CACHE_KEY = "altay-dashboard:traffic:v3";
+const CACHE_PREFIX = "altay-dashboard:traffic:v4";
+const SNAPSHOT_CACHE_KEY = "altay-dashboard:traffic:v3";
 const LEGACY_CACHE_KEY = "dash_traffic_snapshot_v1";
 const CACHE_TTL_SECONDS = 5 * 60;
-const TRAVEL_MIDWEST_URL = "https://travelmidwest.com/lmiga/chicagoQuickTraffic.json";
-const ROUTES = [
-  { id: "I90_94", label: "I-90/94", report: "kennedy", phrase: "inbound kennedy from o'hare to i-290", origin: [41.971, -87.761], destination: [41.883, -87.632] },
-  { id: "I290", label: "I-290", report: "eisenhower", phrase: "inbound i-290 from thorndale", origin: [41.886, -87.798], destination: [41.883, -87.632] },
-  { id: "I55", label: "I-55", report: "stevenson", phrase: "inbound stevenson from i-355", origin: [41.705, -87.681], destination: [41.883, -87.632] }
-];
+const STALE_TTL_SECONDS = 15 * 60;
+export const TRAVEL_MIDWEST_URL = "https://travelmidwest.com/lmiga/chicagoQuickTraffic.json";
+
+function corridorCacheKey(corridors) {
+  const hash = crypto.createHash("sha1").update(JSON.stringify(corridors)).digest("hex").slice(0, 16);
+  return `${CACHE_PREFIX}:${hash}`;
+}
 
 function trafficLevel(ratio) {
   if (ratio < 1.2) return "Light";
@@ -26,7 +33,7 @@ function speedLevel(speed) {
 }
 
 async function routeSignal(route, key) {
-  const locations = `${route.origin.join(",")}:${route.destination.join(",")}`;
+  const locations = [route.origin, ...route.waypoints, route.destination].map((point) => point.join(",")).join(":");
   const params = new URLSearchParams({
     key,
     traffic: "true",
@@ -67,10 +74,15 @@ function laneRow(rows, phrase, direction) {
   } : null;
 }
 
-function travelMidwestRoute(data, route) {
+function travelMidwestReport(data, name) {
   const reports = Array.isArray(data?.[1]) ? data[1] : [];
-  const report = reports.find((item) => String(item?.caption || "").toLowerCase().includes(route.report));
-  const row = report?.rows?.find((item) => String(item?.description || "").toLowerCase().includes(route.phrase));
+  return reports.find((item) => String(item?.caption || "").toLowerCase().includes(name));
+}
+
+function travelMidwestRoute(data, route) {
+  if (!route.travel_midwest || !data) return null;
+  const report = travelMidwestReport(data, route.travel_midwest.report);
+  const row = report?.rows?.find((item) => String(item?.description || "").toLowerCase().includes(route.travel_midwest.phrase));
   const travel = Number(row?.travelTime);
   const speed = Number(row?.speed);
   if (!row || !Number.isFinite(travel) || !Number.isFinite(speed)) return null;
@@ -84,13 +96,14 @@ function travelMidwestRoute(data, route) {
   };
 }
 
-function reversibleSignal(data) {
-  if (!Array.isArray(data)) throw new Error("Travel Midwest response incomplete");
-  const reports = Array.isArray(data[1]) ? data[1] : [];
-  const kennedy = reports.find((report) => String(report?.caption || "").toLowerCase().includes("kennedy"));
-  const rows = Array.isArray(kennedy?.rows) ? kennedy.rows : [];
-  const inbound = laneRow(rows, "inbound kennedy reversibles", "Inbound");
-  const outbound = laneRow(rows, "outbound kennedy reversibles", "Outbound");
+function reversibleSignal(data, lanes) {
+  if (!Array.isArray(data)) return null;
+  const report = travelMidwestReport(data, lanes.report);
+  const rows = Array.isArray(report?.rows) ? report.rows : [];
+  const inbound = laneRow(rows, lanes.inbound, "Inbound");
+  const outbound = laneRow(rows, lanes.outbound, "Outbound");
+  // Missing rows mean the lanes are unknown, not closed.
+  if (!inbound && !outbound) return null;
   const active = [inbound, outbound].find((row) => row?.active);
   return {
     label: active?.direction || "Closed",
@@ -101,39 +114,81 @@ function reversibleSignal(data) {
   };
 }
 
-export async function getTraffic(query = {}) {
-  const [currentCache, legacyCache] = await Promise.all([
-    cacheGet(CACHE_KEY),
-    cacheGet(LEGACY_CACHE_KEY)
-  ]);
-  const cached = currentCache || legacyCache;
-  if (cached && ageInSeconds(cached) < CACHE_TTL_SECONDS && query.fresh !== "1") return cached;
+async function legacyTraffic() {
+  const [snapshot, legacy] = await Promise.all([cacheGet(SNAPSHOT_CACHE_KEY), cacheGet(LEGACY_CACHE_KEY)]);
+  return snapshot || legacy;
+}
+
+async function fetchTraffic(corridors, cached, fresh) {
+  const previousRoutes = (cached || await legacyTraffic())?.routes;
   const key = process.env.TOMTOM_API_KEY || process.env.TOMTOM_KEY;
+  const needsTravelMidwest = corridors.some((corridor) => corridor.travel_midwest || corridor.reversible_lanes);
 
+  const travelMidwest = needsTravelMidwest ? await fetchJson(TRAVEL_MIDWEST_URL, {}, 5000) : null;
+  if (needsTravelMidwest && !Array.isArray(travelMidwest)) throw new Error("Travel Midwest response incomplete");
+  const [routeResults, incidents] = await Promise.all([
+    key
+      ? Promise.allSettled(corridors.map((route) => routeSignal(route, key)))
+      : corridors.map((route) => ({ status: "fulfilled", value: travelMidwestRoute(travelMidwest, route) })),
+    key ? incidentsForCorridors(corridors, { fresh }).catch(() => null) : null
+  ]);
+  const signals = routeResults.map((result, index) => (
+    (result.status === "fulfilled" && result.value) || travelMidwestRoute(travelMidwest, corridors[index])
+  ));
+  const now = new Date();
+  const typical = await typicalBaselines(corridors, now);
+  let reversibleFallback = false;
+  const routes = signals.map((signal, index) => {
+    const corridor = corridors[index];
+    const previous = previousRoutes?.find((route) => route.id === corridor.id);
+    const baseline = typical.get(corridor.id) || null;
+    const route = signal
+      ? {
+        ...signal,
+        typical: baseline,
+        vs_typical: compareToTypical(signal, baseline),
+        incidents: incidents
+          ? incidents.incidents.filter((incident) => incident.corridors.includes(corridor.id)).map(incidentSummary)
+          : previous?.incidents || []
+      }
+      : previous;
+    if (!route || !corridor.reversible_lanes) return route || null;
+    const live = reversibleSignal(travelMidwest, corridor.reversible_lanes);
+    if (!live) reversibleFallback = true;
+    return { ...route, reversible_lanes: live || previous?.reversible_lanes || null };
+  }).filter(Boolean);
+  if (!routes.length) throw new Error("No traffic routes available");
+  const sources = [key && "TomTom", needsTravelMidwest && "Travel Midwest"].filter(Boolean);
+  await recordTrafficSamples(corridors, signals.filter(Boolean), now);
+  return {
+    updated_iso: now.toISOString(),
+    source: sources.join(" + "),
+    corridors: corridors.map((corridor) => corridor.id),
+    partial: routes.length !== corridors.length || reversibleFallback,
+    routes
+  };
+}
+
+export async function getTraffic(query = {}) {
+  const corridors = selectCorridors(query);
+  const fresh = query.fresh === "1";
   try {
-    const travelMidwest = await fetchJson(TRAVEL_MIDWEST_URL, {}, 5000);
-    const laneResult = reversibleSignal(travelMidwest);
-    const routeResults = key
-      ? await Promise.allSettled(ROUTES.map((route) => routeSignal(route, key)))
-      : ROUTES.map((route) => ({ status: "fulfilled", value: travelMidwestRoute(travelMidwest, route) }));
-    const routes = routeResults.map((result, index) => {
-      if (result.status === "fulfilled" && result.value) return result.value;
-      const publicRoute = travelMidwestRoute(travelMidwest, ROUTES[index]);
-      if (publicRoute) return publicRoute;
-      return cached?.routes?.find((route) => route.id === ROUTES[index].id) || null;
-    }).filter(Boolean);
-    if (!routes.length) throw new Error("No traffic routes available");
-    const reversible = laneResult || cached?.routes?.find((route) => route.id === "I90_94")?.reversible_lanes || null;
-    const payload = {
-      updated_iso: new Date().toISOString(),
-      source: key ? "TomTom + Travel Midwest" : "Travel Midwest",
-      partial: routes.length !== ROUTES.length || !laneResult,
-      routes: routes.map((route) => route.id === "I90_94" ? { ...route, reversible_lanes: reversible } : route)
-    };
-    await cacheSet(CACHE_KEY, payload, 24 * 60 * 60);
-    return payload;
+    return await cachedRefresh(corridorCacheKey(corridors), (cached) => fetchTraffic(corridors, cached, fresh), {
+      softTtlSeconds: CACHE_TTL_SECONDS,
+      hardTtlSeconds: STALE_TTL_SECONDS,
+      fresh
+    });
   } catch (error) {
-    if (cached) return { ...cached, stale: true, error: error.message };
+    // Snapshots from before per-corridor keys still beat an error.
+    const legacy = await legacyTraffic();
+    const routes = (legacy?.routes || []).filter((route) => corridors.some((corridor) => corridor.id === route.id));
+    if (routes.length) return { ...legacy, routes, stale: true, error: error.message };
     throw error;
   }
 }
+
+// Cache state of the default corridors, for /api/health.
+export async function trafficFreshness() {
+  const cached = await cacheGet(corridorCacheKey(selectCorridors({})));
+  return describeFreshness([cached], CACHE_TTL_SECONDS, STALE_TTL_SECONDS);
+}
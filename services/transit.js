@@ -0,0 +1,397 @@
+import { existsSync, readFileSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { distanceMeters } from "../lib/geo.js";
+import { addDays, zonedInstant, zonedParts } from "../lib/time.js";
+
+const DEFAULT_FEED_DIR = fileURLToPath(new URL("../config/gtfs/", import.meta.url));
+const DEFAULT_TIMEZONE = "America/Chicago";
+const WALK_SPEED_MPS = 1.3;
+const WALK_DETOUR = 1.25;
+const MAX_ACCESS_M = 1200;
+const MAX_TRANSFER_M = 400;
+const TRANSFER_BUFFER_SEC = 60;
+const SEARCH_HORIZON_SEC = 3 * 60 * 60;
+const MAX_ITINERARIES = 3;
+const GRID_DEGREES = 0.005;
+const ROUTE_TYPES = {
+  0: "tram",
+  1: "subway",
+  2: "rail",
+  3: "bus",
+  4: "ferry",
+  5: "cable_tram",
+  6: "aerial_lift",
+  7: "funicular",
+  11: "trolleybus",
+  12: "monorail"
+};
+let feed = null;
+
+// Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF and a BOM.
+function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (quoted) {
+      if (char === "\"" && source[index + 1] === "\"") {
+        field += "\"";
+        index += 1;
+      } else if (char === "\"") {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === "\"") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[index + 1] === "\n") index += 1;
+      row.push(field);
+      if (row.length > 1 || row[0] !== "") rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) rows.push([...row, field]);
+  const [header = [], ...records] = rows;
+  const keys = header.map((key) => key.trim());
+  return records.map((record) => Object.fromEntries(keys.map((key, index) => [key, (record[index] ?? "").trim()])));
+}
+
+function readTable(dir, name, required = true) {
+  const file = path.join(dir, name);
+  if (!existsSync(file)) {
+    if (required) throw new Error(`Invalid transit feed: ${name} is missing`);
+    return [];
+  }
+  return parseCsv(readFileSync(file, "utf8"));
+}
+
+// GTFS clock times may run past 24:00:00 for trips that finish after midnight.
+function gtfsSeconds(value) {
+  const match = String(value || "").match(/^(\d{1,3}):(\d{2}):(\d{2})$/);
+  return match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : null;
+}
+
+function gridCell(lat, lon) {
+  return `${Math.floor(lat / GRID_DEGREES)}:${Math.floor(lon / GRID_DEGREES)}`;
+}
+
+function walkSeconds(meters) {
+  return Math.round((meters * WALK_DETOUR) / WALK_SPEED_MPS);
+}
+
+function stopsWithin(grid, point, maxMeters) {
+  const latCells = Math.ceil(maxMeters / 111320 / GRID_DEGREES);
+  const lonCells = Math.ceil(maxMeters / (111320 * Math.cos((point.lat * Math.PI) / 180)) / GRID_DEGREES);
+  const row = Math.floor(point.lat / GRID_DEGREES);
+  const column = Math.floor(point.lon / GRID_DEGREES);
+  const found = [];
+  for (let dLat = -latCells; dLat <= latCells; dLat += 1) {
+    for (let dLon = -lonCells; dLon <= lonCells; dLon += 1) {
+      for (const stop of grid.get(`${row + dLat}:${column + dLon}`) || []) {
+        const meters = distanceMeters(point, stop);
+        if (meters <= maxMeters) {
+          found.push({ stop, distance_m: Math.round(meters * WALK_DETOUR), walk_sec: walkSeconds(meters) });
+        }
+      }
+    }
+  }
+  return found.sort((a, b) => a.walk_sec - b.walk_sec);
+}
+
+// GTFS_DIR points at an unzipped static feed; the bundled sample covers a few
+// CTA and Metra lines so transit mode works offline out of the box.
+export function loadFeed() {
+  if (feed) return feed;
+  const dir = process.env.GTFS_DIR || DEFAULT_FEED_DIR;
+  if (!existsSync(path.join(dir, "stops.txt"))) throw new Error("Transit feed is not configured");
+
+  const agencies = readTable(dir, "agency.txt", false);
+  const [info] = readTable(dir, "feed_info.txt", false);
+  const stops = new Map();
+  for (const row of readTable(dir, "stops.txt")) {
+    const lat = Number(row.stop_lat);
+    const lon = Number(row.stop_lon);
+    if (!row.stop_id || !Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+    stops.set(row.stop_id, { id: row.stop_id, name: row.stop_name || row.stop_id, lat, lon });
+  }
+
+  const routes = new Map(readTable(dir, "routes.txt").map((row) => [row.route_id, {
+    id: row.route_id,
+    name: row.route_short_name || row.route_long_name || row.route_id,
+    long_name: row.route_long_name || null,
+    type: ROUTE_TYPES[row.route_type] || "transit"
+  }]));
+
+  const trips = new Map(readTable(dir, "trips.txt").map((row) => [row.trip_id, {
+    id: row.trip_id,
+    route: routes.get(row.route_id) || { id: row.route_id, name: row.route_id, long_name: null, type: "transit" },
+    service: row.service_id,
+    headsign: row.trip_headsign || null,
+    times: []
+  }]));
+  for (const row of readTable(dir, "stop_times.txt")) {
+    const trip = trips.get(row.trip_id);
+    const arrival = gtfsSeconds(row.arrival_time || row.departure_time);
+    const departure = gtfsSeconds(row.departure_time || row.arrival_time);
+    // Stops without times (non-timepoints) are skipped rather than interpolated.
+    if (!trip || !stops.has(row.stop_id) || arrival == null || departure == null) continue;
+    trip.times.push({ stop: row.stop_id, sequence: Number(row.stop_sequence), arrival, departure });
+  }
+  for (const trip of trips.values()) trip.times.sort((a, b) => a.sequence - b.sequence);
+
+  const services = new Map(readTable(dir, "calendar.txt", false).map((row) => [row.service_id, {
+    days: ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"].map((day) => row[day] === "1"),
+    start: row.start_date,
+    end: row.end_date
+  }]));
+  const exceptions = new Map();
+  for (const row of readTable(dir, "calendar_dates.txt", false)) {
+    if (!exceptions.has(row.service_id)) exceptions.set(row.service_id, new Map());
+    exceptions.get(row.service_id).set(row.date, Number(row.exception_type));
+  }
+
+  const grid = new Map();
+  for (const stop of stops.values()) {
+    const cell = gridCell(stop.lat, stop.lon);
+    if (!grid.has(cell)) grid.set(cell, []);
+    grid.get(cell).push(stop);
+  }
+  const footpaths = new Map([...stops.values()].map((stop) => [
+    stop.id,
+    stopsWithin(grid, stop, MAX_TRANSFER_M).filter((walk) => walk.stop.id !== stop.id)
+  ]));
+
+  feed = {
+    name: info?.feed_publisher_name || agencies.map((agency) => agency.agency_name).filter(Boolean).join(", ") || "GTFS feed",
+    version: info?.feed_version || null,
+    timezone: agencies[0]?.agency_timezone || DEFAULT_TIMEZONE,
+    stops,
+    trips: [...trips.values()].filter((trip) => trip.times.length > 1),
+    services,
+    exceptions,
+    grid,
+    footpaths
+  };
+  return feed;
+}
+
+function serviceRuns(serviceId, localDate) {
+  const compact = localDate.replaceAll("-", "");
+  const exception = feed.exceptions.get(serviceId)?.get(compact);
+  if (exception === 1) return true;
+  if (exception === 2) return false;
+  const service = feed.services.get(serviceId);
+  if (!service || compact < service.start || compact > service.end) return false;
+  return service.days[new Date(`${localDate}T00:00:00Z`).getUTCDay()];
+}
+
+// Each elementary hop (stop to next stop on one trip) in the window, sorted by
+// departure. Yesterday's service day is included for its after-midnight trips.
+function connectionsBetween(startMs, endMs) {
+  const today = zonedParts(new Date(startMs), feed.timezone).date;
+  const connections = [];
+  for (const serviceDate of [addDays(today, -1), today, addDays(today, 1)]) {
+    // GTFS times count from "noon minus 12h", which differs from midnight on DST days.
+    const base = zonedInstant(serviceDate, 12 * 60, feed.timezone).getTime() - 12 * 60 * 60 * 1000;
+    const running = new Map();
+    for (const trip of feed.trips) {
+      if (!running.has(trip.service)) running.set(trip.service, serviceRuns(trip.service, serviceDate));
+      if (!running.get(trip.service)) continue;
+      if (base + trip.times.at(-1).arrival * 1000 < startMs || base + trip.times[0].departure * 1000 > endMs) continue;
+      for (let index = 0; index < trip.times.length - 1; index += 1) {
+        const departure = base + trip.times[index].departure * 1000;
+        if (departure < startMs || departure > endMs) continue;
+        connections.push({
+          trip,
+          key: `${trip.id}@${serviceDate}`,
+          index,
+          from: trip.times[index].stop,
+          to: trip.times[index + 1].stop,
+          departure,
+          arrival: base + trip.times[index + 1].arrival * 1000
+        });
+      }
+    }
+  }
+  return connections.sort((a, b) => a.departure - b.departure || a.arrival - b.arrival);
+}
+
+function stopRef(id) {
+  const stop = feed.stops.get(id);
+  return { id: stop.id, name: stop.name, lat: stop.lat, lon: stop.lon };
+}
+
+function walkLeg(from, to, departure, walk) {
+  return {
+    mode: "walk",
+    from,
+    to,
+    distance_m: walk.distance_m,
+    duration_sec: walk.walk_sec,
+    departure_iso: new Date(departure).toISOString(),
+    arrival_iso: new Date(departure + walk.walk_sec * 1000).toISOString()
+  };
+}
+
+function rideLeg(enter, exit) {
+  return {
+    mode: "ride",
+    route: enter.trip.route.name,
+    route_long_name: enter.trip.route.long_name,
+    route_type: enter.trip.route.type,
+    headsign: enter.trip.headsign,
+    trip_id: enter.trip.id,
+    from: stopRef(enter.from),
+    to: stopRef(exit.to),
+    stops: exit.index - enter.index + 1,
+    duration_sec: Math.round((exit.arrival - enter.departure) / 1000),
+    departure_iso: new Date(enter.departure).toISOString(),
+    arrival_iso: new Date(exit.arrival).toISOString()
+  };
+}
+
+// Connection Scan: one pass over the sorted hops gives the earliest arrival at
+// the destination for anyone leaving the origin at startMs.
+function scan(connections, origin, destination, startMs) {
+  const arrival = new Map();
+  const via = new Map();
+  const boarded = new Map();
+  const egress = new Map(stopsWithin(feed.grid, destination, MAX_ACCESS_M).map((walk) => [walk.stop.id, walk]));
+  let best = Infinity;
+  let bestStop = null;
+
+  function ridesTrip(step, key) {
+    const ride = step.type === "transfer" ? via.get(step.from) : step;
+    return ride?.type === "ride" && ride.enter.key === key;
+  }
+
+  function reach(stopId, time, step) {
+    if (time >= (arrival.get(stopId) ?? Infinity)) return;
+    arrival.set(stopId, time);
+    via.set(stopId, step);
+    const walk = egress.get(stopId);
+    if (walk && step.type !== "access" && time + walk.walk_sec * 1000 < best) {
+      best = time + walk.walk_sec * 1000;
+      bestStop = stopId;
+    }
+  }
+
+  for (const walk of stopsWithin(feed.grid, origin, MAX_ACCESS_M)) {
+    reach(walk.stop.id, startMs + walk.walk_sec * 1000, { type: "access", walk });
+  }
+
+  for (const connection of connections) {
+    if (connection.departure < startMs) continue;
+    if (connection.departure >= best) break;
+    const reached = arrival.get(connection.from);
+    const step = via.get(connection.from);
+    const canBoard = reached != null
+      && reached + (step.type === "access" ? 0 : TRANSFER_BUFFER_SEC * 1000) <= connection.departure;
+    let enter = boarded.get(connection.key);
+    // Board as late as a transfer allows, so a trip that doubles back on a
+    // line reached earlier is not ridden just because it passed by first.
+    if (canBoard && (!enter || (step.type !== "access" && !ridesTrip(step, connection.key)))) {
+      enter = connection;
+      boarded.set(connection.key, connection);
+    }
+    if (!enter) continue;
+    if (connection.arrival >= (arrival.get(connection.to) ?? Infinity)) continue;
+    reach(connection.to, connection.arrival, { type: "ride", enter, exit: connection });
+    for (const walk of feed.footpaths.get(connection.to) || []) {
+      reach(walk.stop.id, connection.arrival + walk.walk_sec * 1000, { type: "transfer", from: connection.to, walk });
+    }
+  }
+  if (!bestStop) return null;
+
+  const steps = [];
+  for (let stopId = bestStop; ;) {
+    const step = via.get(stopId);
+    steps.unshift({ ...step, stopId });
+    if (step.type === "access") break;
+    stopId = step.type === "ride" ? step.enter.from : step.from;
+  }
+
+  const legs = [];
+  const rides = steps.filter((step) => step.type === "ride");
+  const access = steps[0];
+  legs.push(walkLeg({ name: "Origin", ...origin }, stopRef(access.stopId), rides[0].enter.departure - access.walk.walk_sec * 1000, access.walk));
+  let clock = null;
+  for (const step of steps.slice(1)) {
+    if (step.type === "ride") {
+      legs.push(rideLeg(step.enter, step.exit));
+      clock = step.exit.arrival;
+    } else {
+      legs.push(walkLeg(stopRef(step.from), stopRef(step.stopId), clock, step.walk));
+      clock += step.walk.walk_sec * 1000;
+    }
+  }
+  legs.push(walkLeg(stopRef(bestStop), { name: "Destination", ...destination }, clock, egress.get(bestStop)));
+
+  return {
+    firstTrip: rides[0].enter.key,
+    itinerary: {
+      departure_iso: legs[0].departure_iso,
+      arrival_iso: legs.at(-1).arrival_iso,
+      duration_sec: Math.round((Date.parse(legs.at(-1).arrival_iso) - Date.parse(legs[0].departure_iso)) / 1000),
+      transfers: rides.length - 1,
+      walk_m: legs.filter((leg) => leg.mode === "walk").reduce((sum, leg) => sum + leg.distance_m, 0),
+      legs
+    }
+  };
+}
+
+// An option is dominated when another leaves no earlier yet arrives no later
+// with no more transfers: nobody who could catch it would prefer it.
+function dominates(a, b) {
+  const noWorse = a.departure_iso >= b.departure_iso && a.arrival_iso <= b.arrival_iso && a.transfers <= b.transfers;
+  return noWorse && (a.departure_iso !== b.departure_iso || a.arrival_iso !== b.arrival_iso || a.transfers !== b.transfers);
+}
+
+function paretoFront(itineraries) {
+  return itineraries.filter((itinerary) => !itineraries.some((other) => dominates(other, itinerary)));
+}
+
+// Next itineraries leaving at or after departAt: each later search starts just
+// after the previous itinerary's first boarding, so it must catch a later trip.
+// Searching continues one option past the limit, since a later departure can
+// dominate an earlier one, and dominated options are dropped.
+export function transitItineraries(fromPos, toPos, departAt = new Date(), limit = MAX_ITINERARIES) {
+  loadFeed();
+  const origin = { lat: fromPos.lat, lon: fromPos.lon };
+  const destination = { lat: toPos.lat, lon: toPos.lon };
+  const startMs = departAt.getTime();
+  const connections = connectionsBetween(startMs, startMs + SEARCH_HORIZON_SEC * 1000);
+  const directMeters = distanceMeters(origin, destination);
+
+  let candidates = [];
+  const seen = new Set();
+  let searchFrom = startMs;
+  for (let searches = 0; candidates.length <= limit && searches < limit * 4; searches += 1) {
+    const found = scan(connections, origin, destination, searchFrom);
+    if (!found) break;
+    searchFrom = Date.parse(found.itinerary.departure_iso) + 60 * 1000;
+    if (seen.has(found.firstTrip)) continue;
+    seen.add(found.firstTrip);
+    candidates = paretoFront([...candidates, found.itinerary]);
+  }
+  const itineraries = candidates.slice(0, limit);
+
+  return {
+    feed: { name: feed.name, version: feed.version, timezone: feed.timezone },
+    departure_iso: departAt.toISOString(),
+    walk_only: { distance_m: Math.round(directMeters * WALK_DETOUR), duration_sec: walkSeconds(directMeters) },
+    itineraries,
+    ...(!itineraries.length && { note: `No transit itinerary within ${MAX_ACCESS_M} m of both ends in the next ${SEARCH_HORIZON_SEC / 3600} hours` })
+  };
+}
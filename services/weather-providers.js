@@ -0,0 +1,207 @@
+import { fetchJson } from "../lib/request.js";
+import { UNIT_SYSTEMS } from "../lib/conditions.js";
+import { localDateTime, zonedInstant } from "../lib/time.js";
+import { sunTimes } from "../lib/astronomy.js";
+
+// Every provider returns the Open-Meteo field names clients already use, with
+// local wall-clock times ("YYYY-MM-DDTHH:MM") in the location's timezone.
+const FORECAST_DAYS = 7;
+const HOURLY_POINTS = 24;
+const MET_USER_AGENT = process.env.MET_USER_AGENT || process.env.NWS_USER_AGENT || "altay-dashboard-data-api";
+
+// MET Norway symbol codes (suffix stripped) mapped onto WMO weather codes.
+const MET_SYMBOLS = {
+  clearsky: 0,
+  fair: 1,
+  partlycloudy: 2,
+  cloudy: 3,
+  fog: 45,
+  lightrain: 61,
+  rain: 63,
+  heavyrain: 65,
+  lightrainshowers: 80,
+  rainshowers: 81,
+  heavyrainshowers: 82,
+  lightsleet: 66,
+  sleet: 67,
+  heavysleet: 67,
+  lightsleetshowers: 66,
+  sleetshowers: 67,
+  heavysleetshowers: 67,
+  lightsnow: 71,
+  snow: 73,
+  heavysnow: 75,
+  lightsnowshowers: 85,
+  snowshowers: 85,
+  heavysnowshowers: 86
+};
+
+function trimHourly(hourly, currentTime, count = HOURLY_POINTS) {
+  if (!Array.isArray(hourly?.time)) return hourly || null;
+  const start = Math.max(0, hourly.time.findIndex((time) => time >= currentTime));
+  return Object.fromEntries(Object.entries(hourly).map(([key, value]) => [
+    key,
+    Array.isArray(value) ? value.slice(start, start + count) : value
+  ]));
+}
+
+function pickFields(source, fields) {
+  return Object.fromEntries(fields.map((field) => [field, source?.[field] ?? null]));
+}
+
+const CURRENT_FIELDS = [
+  "time", "temperature_2m", "apparent_temperature", "relative_humidity_2m",
+  "precipitation", "weather_code", "wind_speed_10m",
+  "wind_direction_10m", "pressure_msl", "is_day"
+];
+const HOURLY_FIELDS = ["temperature_2m", "precipitation_probability", "weather_code", "wind_speed_10m", "is_day"];
+const DAILY_FIELDS = [
+  "weather_code", "temperature_2m_max", "temperature_2m_min",
+  "precipitation_probability_max", "sunrise", "sunset"
+];
+
+function columns(source, fields) {
+  return Object.fromEntries(["time", ...fields].map((field) => [field, Array.isArray(source?.[field]) ? source[field] : []]));
+}
+
+async function openMeteo(location, units) {
+  const system = UNIT_SYSTEMS[units];
+  const params = new URLSearchParams({
+    latitude: String(location.lat),
+    longitude: String(location.lon),
+    // A fallback geocode without a timezone lets Open-Meteo resolve it.
+    timezone: location.timezone_approx ? "auto" : location.timezone,
+    current: CURRENT_FIELDS.filter((field) => field !== "time").join(","),
+    hourly: HOURLY_FIELDS.join(","),
+    daily: DAILY_FIELDS.join(","),
+    temperature_unit: system.temperature,
+    wind_speed_unit: system.wind_speed,
+    precipitation_unit: system.precipitation,
+    forecast_days: String(FORECAST_DAYS)
+  });
+  const data = await fetchJson(`https://api.open-meteo.com/v1/forecast?${params}`, {}, 3000);
+  if (!data?.current || !data?.daily) throw new Error("Weather response was incomplete");
+  return {
+    source: "Open-Meteo",
+    timezone: data.timezone || location.timezone,
+    current: pickFields(data.current, CURRENT_FIELDS),
+    hourly: trimHourly(columns(data.hourly, HOURLY_FIELDS), data.current.time),
+    daily: columns(data.daily, DAILY_FIELDS)
+  };
+}
+
+function round(value, digits = 1) {
+  return Number.isFinite(value) ? Number(value.toFixed(digits)) : null;
+}
+
+function converters(units) {
+  if (units === "metric") {
+    return { temperature: (c) => round(c), speed: (ms) => round(ms * 3.6), precipitation: (mm) => round(mm) };
+  }
+  return {
+    temperature: (c) => round(c * 9 / 5 + 32),
+    speed: (ms) => round(ms * 2.236936),
+    precipitation: (mm) => round(mm / 25.4, 2)
+  };
+}
+
+function metSymbol(entry) {
+  const code = entry?.data?.next_1_hours?.summary?.symbol_code || entry?.data?.next_6_hours?.summary?.symbol_code || "";
+  const [name, variant] = code.split("_");
+  const thunder = name.endsWith("andthunder");
+  return {
+    code: thunder ? 95 : MET_SYMBOLS[name] ?? null,
+    isDay: variant === "day" ? 1 : variant === "night" || variant === "polartwilight" ? 0 : null
+  };
+}
+
+// MET Norway's locationforecast is global and keyless; it has no apparent
+// temperature (left null) or sunrise/sunset (computed locally), and daily
+// values are aggregated from the hourly (later six-hourly) series in local days.
+async function metNorway(location, units) {
+  const params = new URLSearchParams({ lat: Number(location.lat).toFixed(4), lon: Number(location.lon).toFixed(4) });
+  const data = await fetchJson(`https://api.met.no/weatherapi/locationforecast/2.0/complete?${params}`, {
+    headers: { "User-Agent": MET_USER_AGENT }
+  }, 2500);
+  const series = Array.isArray(data?.properties?.timeseries) ? data.properties.timeseries : [];
+  if (!series.length) throw new Error("Weather response was incomplete");
+
+  const convert = converters(units);
+  const now = Date.now();
+  const currentIndex = Math.max(0, series.findLastIndex((entry) => Date.parse(entry.time) <= now));
+  const current = series[currentIndex];
+  const instant = current.data?.instant?.details || {};
+  const currentSymbol = metSymbol(current);
+
+  const hourlyEntries = series.slice(currentIndex, currentIndex + HOURLY_POINTS);
+  const hourly = {
+    time: hourlyEntries.map((entry) => localDateTime(entry.time, location.timezone)),
+    temperature_2m: hourlyEntries.map((entry) => convert.temperature(entry.data?.instant?.details?.air_temperature)),
+    precipitation_probability: hourlyEntries.map((entry) => round(entry.data?.next_1_hours?.details?.probability_of_precipitation, 0)),
+    weather_code: hourlyEntries.map((entry) => metSymbol(entry).code),
+    wind_speed_10m: hourlyEntries.map((entry) => convert.speed(entry.data?.instant?.details?.wind_speed)),
+    is_day: hourlyEntries.map((entry) => metSymbol(entry).isDay)
+  };
+
+  const days = new Map();
+  for (const entry of series.slice(currentIndex)) {
+    const date = localDateTime(entry.time, location.timezone).slice(0, 10);
+    if (!days.has(date)) {
+      if (days.size === FORECAST_DAYS) break;
+      days.set(date, { temperatures: [], codes: [], probabilities: [] });
+    }
+    const day = days.get(date);
+    const six = entry.data?.next_6_hours?.details || {};
+    day.temperatures.push(entry.data?.instant?.details?.air_temperature, six.air_temperature_max, six.air_temperature_min);
+    day.codes.push(metSymbol(entry).code);
+    day.probabilities.push(entry.data?.next_1_hours?.details?.probability_of_precipitation ?? six.probability_of_precipitation);
+  }
+  const finite = (values) => values.filter(Number.isFinite);
+  const daily = { time: [...days.keys()], weather_code: [], temperature_2m_max: [], temperature_2m_min: [], precipitation_probability_max: [], sunrise: [], sunset: [] };
+  for (const [date, day] of days) {
+    const temperatures = finite(day.temperatures);
+    // WMO codes grow with severity, so the day reports its worst weather.
+    daily.weather_code.push(finite(day.codes).length ? Math.max(...finite(day.codes)) : null);
+    daily.temperature_2m_max.push(temperatures.length ? convert.temperature(Math.max(...temperatures)) : null);
+    daily.temperature_2m_min.push(temperatures.length ? convert.temperature(Math.min(...temperatures)) : null);
+    daily.precipitation_probability_max.push(finite(day.probabilities).length ? Math.max(...finite(day.probabilities)) : null);
+    const sun = sunTimes(zonedInstant(date, 12 * 60, location.timezone), location.lat, location.lon).events.sunrise;
+    daily.sunrise.push(sun.rise && localDateTime(sun.rise, location.timezone));
+    daily.sunset.push(sun.set && localDateTime(sun.set, location.timezone));
+  }
+
+  return {
+    source: "MET Norway",
+    timezone: location.timezone,
+    current: {
+      time: localDateTime(current.time, location.timezone),
+      temperature_2m: convert.temperature(instant.air_temperature),
+      apparent_temperature: null,
+      relative_humidity_2m: round(instant.relative_humidity, 0),
+      precipitation: convert.precipitation(current.data?.next_1_hours?.details?.precipitation_amount),
+      weather_code: currentSymbol.code,
+      wind_speed_10m: convert.speed(instant.wind_speed),
+      wind_direction_10m: round(instant.wind_from_direction, 0),
+      pressure_msl: round(instant.air_pressure_at_sea_level),
+      is_day: currentSymbol.isDay
+    },
+    hourly,
+    daily
+  };
+}
+
+const PROVIDERS = [openMeteo, metNorway];
+
+// Providers are tried in order, like the markets feed chain; the error names
+// each provider's failure when all of them are down.
+export async function fetchForecast(location, units) {
+  const failures = [];
+  for (const provider of PROVIDERS) {
+    try {
+      return await provider(location, units);
+    } catch (error) {
+      failures.push(error.message);
+    }
+  }
+  throw new Error(`All weather providers failed: ${failures.join("; ")}`);
+}
@@ -1,106 +1,205 @@
-import { cacheGet, cacheSet, ageInSeconds } from "../lib/cache.js";
-import { fetchJson } from "../lib/request.js";
-
-const DEFAULT_LOCATION = {
-  label: "Chicago, IL",
-  lat: 41.8781,
-  lon: -87.6298,
-  timezone: "America/Chicago"
-};
+import { cacheGet } from "../lib/cache.js";
+import { cachedRefresh, describeFreshness } from "../lib/refresh.js";
+import { withDeadline } from "../lib/request.js";
+import { condition, forecastSentence, LANGUAGES, UNIT_SYSTEMS } from "../lib/conditions.js";
+import { getAirQuality } from "./air-quality.js";
+import { getAlertsForLocation } from "./alerts.js";
+import { astronomyFor, todayAt } from "./astronomy.js";
+import { resolveLocation, resolveLocationItem } from "./geocoding.js";
+import { fetchForecast } from "./weather-providers.js";
+
 const CACHE_TTL_SECONDS = 10 * 60;
+const STALE_TTL_SECONDS = 60 * 60;
+const MAX_LOCATIONS = 8;
+const LOCATION_DEADLINE_MS = 7000;
 
 function clean(value, max = 80) {
   return String(value || "").trim().slice(0, max);
 }
 
-function validCoordinate(value, min, max) {
-  const number = Number(value);
-  return Number.isFinite(number) && number >= min && number <= max ? number : null;
+function resolveLang(query) {
+  const lang = clean(query.lang, 16).toLowerCase().split("-")[0] || "en";
+  return LANGUAGES.includes(lang) ? lang : null;
+}
+
+function resolveUnits(query) {
+  const units = clean(query.units, 16).toLowerCase() || "imperial";
+  return UNIT_SYSTEMS[units] ? units : null;
+}
+
+// For /api/weather, which answers a bad lang or units with a 400. getWeather
+// itself falls back to en and imperial, so the dashboard's weather section
+// survives a query meant for another section.
+export function validateWeatherQuery(query = {}) {
+  if (!resolveLang(query)) throw new Error(`Invalid lang: use ${LANGUAGES.join(" or ")}`);
+  if (!resolveUnits(query)) throw new Error(`Invalid units: use ${Object.keys(UNIT_SYSTEMS).join(" or ")}`);
+}
+
+// Decoding happens on the way out, so one cached forecast serves every lang.
+function describe(payload, lang) {
+  const units = payload.units || "imperial";
+  const labels = UNIT_SYSTEMS[units].labels;
+  const { current, hourly, daily } = payload;
+  const days = Array.isArray(daily?.time) ? daily.time.map((_, index) => ({
+    code: daily.weather_code?.[index],
+    max: daily.temperature_2m_max?.[index],
+    min: daily.temperature_2m_min?.[index],
+    precipitation: daily.precipitation_probability_max?.[index]
+  })) : [];
+  const hourlyConditions = Array.isArray(hourly?.time)
+    ? hourly.time.map((_, index) => condition(hourly.weather_code?.[index], hourly.is_day?.[index], lang))
+    : null;
+  const dailyConditions = days.map((day) => condition(day.code, 1, lang));
+  return {
+    ...payload,
+    lang,
+    units,
+    unit_labels: labels,
+    current: current && { ...current, condition: condition(current.weather_code, current.is_day, lang) },
+    hourly: hourlyConditions ? {
+      ...hourly,
+      condition_text: hourlyConditions.map((item) => item.text),
+      icon: hourlyConditions.map((item) => item.icon)
+    } : hourly,
+    daily: daily && {
+      ...daily,
+      condition_text: dailyConditions.map((item) => item.text),
+      icon: dailyConditions.map((item) => item.icon)
+    },
+    summary: {
+      today: days[0] ? forecastSentence(days[0], "today", lang, labels.temperature) : null,
+      tomorrow: days[1] ? forecastSentence(days[1], "tomorrow", lang, labels.temperature) : null
+    }
+  };
+}
+
+// Air quality and alerts keep their own caches; a failure in either only
+// blanks its block, and the forecast still returns.
+async function extras(location, fresh) {
+  const [air, alerts] = await Promise.allSettled([
+    getAirQuality(location, { fresh }),
+    getAlertsForLocation(location, { fresh })
+  ]);
+  return {
+    air: air.status === "fulfilled" ? air.value : null,
+    ...(air.status === "rejected" && { air_error: air.reason?.message || "Air quality unavailable" }),
+    alerts: alerts.status === "fulfilled" ? alerts.value.alerts : [],
+    ...(alerts.status === "rejected" && { alerts_error: alerts.reason?.message || "Alerts unavailable" })
+  };
+}
+
+// Forecasts are cached per rounded coordinate and timezone, so every spelling
+// of a city that geocodes to the same place shares one entry. An estimated zone
+// is left to the provider to resolve, so those entries share "auto".
+function forecastCacheKey(location, units) {
+  const point = `${Number(location.lat).toFixed(2)},${Number(location.lon).toFixed(2)}`;
+  const zone = location.timezone_approx ? "auto" : location.timezone;
+  return `altay-dashboard:weather:v3:${point}:${zone}${units === "imperial" ? "" : `:${units}`}`;
 }
 
-async function geocode(city) {
-  const params = new URLSearchParams({
-    name: city,
-    count: "1",
-    language: "en",
-    format: "json"
+// The cached entry holds only what the provider returned; the caller's
+// location is attached per request so one entry can serve every label.
+async function loadForecast(location, units) {
+  const forecast = await fetchForecast(location, units);
+  return {
+    updated_iso: new Date().toISOString(),
+    source: forecast.source,
+    timezone: forecast.timezone,
+    units,
+    current: forecast.current,
+    hourly: forecast.hourly,
+    daily: forecast.daily
+  };
+}
+
+async function forecastFor(location, units, fresh) {
+  const { timezone, ...payload } = await cachedRefresh(forecastCacheKey(location, units), () => loadForecast(location, units), {
+    softTtlSeconds: CACHE_TTL_SECONDS,
+    hardTtlSeconds: STALE_TTL_SECONDS,
+    fresh
   });
-  const data = await fetchJson(`https://geocoding-api.open-meteo.com/v1/search?${params}`, {}, 3500);
-  const result = data?.results?.[0];
-  if (!result) throw new Error(`City not found: ${city}`);
+  // Open-Meteo resolves the real zone when geocoding could only estimate it.
+  const resolved = location.timezone_approx && timezone && timezone !== location.timezone
+    ? { label: location.label, lat: location.lat, lon: location.lon, timezone }
+    : location;
+  return { ...payload, location: resolved };
+}
+
+function splitCities(value) {
+  return [...new Set(String(value || "").split(/[|;]/).map((item) => clean(item, 120)).filter(Boolean))];
+}
+
+function comparisonRow(payload) {
   return {
-    label: [result.name, result.admin1, result.country].filter(Boolean).join(", "),
-    lat: result.latitude,
-    lon: result.longitude,
-    timezone: result.timezone || DEFAULT_LOCATION.timezone
+    query: payload.query,
+    label: payload.location.label,
+    local_time: payload.current?.time ?? null,
+    temperature: payload.current?.temperature_2m ?? null,
+    high: payload.daily?.temperature_2m_max?.[0] ?? null,
+    low: payload.daily?.temperature_2m_min?.[0] ?? null,
+    precipitation_probability: payload.daily?.precipitation_probability_max?.[0] ?? null,
+    condition: payload.current?.condition?.text ?? null,
+    icon: payload.current?.condition?.icon ?? null,
+    ...(payload.stale && { stale: true })
   };
 }
 
-function trimHourly(hourly, currentTime, count = 24) {
-  if (!Array.isArray(hourly?.time)) return hourly || null;
-  const start = Math.max(0, hourly.time.findIndex((time) => time >= currentTime));
-  return Object.fromEntries(Object.entries(hourly).map(([key, value]) => [
-    key,
-    Array.isArray(value) ? value.slice(start, start + count) : value
-  ]));
+function extreme(rows, field, pick) {
+  const ranked = rows.filter((row) => Number.isFinite(row[field]));
+  if (!ranked.length) return null;
+  return ranked.reduce((best, row) => (pick(row[field], best[field]) ? row : best)).label;
+}
+
+// The offices widget: forecasts only (no air or alerts) for up to
+// MAX_LOCATIONS places, each bounded so one slow lookup cannot sink the rest.
+// tz only applies to a single item; with several, each point's zone is
+// resolved on its own.
+async function compareWeather(query, lang, units, fresh) {
+  const items = splitCities(query.cities);
+  if (items.length > MAX_LOCATIONS) throw new Error(`Invalid cities: at most ${MAX_LOCATIONS} locations`);
+  const timezone = items.length === 1 ? query.tz : undefined;
+  const results = await Promise.allSettled(items.map((item) => withDeadline((async () => {
+    const location = await resolveLocationItem(item, timezone);
+    return describe(await forecastFor(location, units, fresh), lang);
+  })(), LOCATION_DEADLINE_MS, `Weather for ${item}`)));
+  if (results.every((result) => result.status === "rejected")) throw results[0].reason;
+
+  const locations = results.map((result, index) => result.status === "fulfilled"
+    ? { query: items[index], ...result.value }
+    : { query: items[index], error: result.reason?.message || "Weather unavailable" });
+  const rows = locations.filter((location) => !location.error).map(comparisonRow);
+  return {
+    updated_iso: new Date().toISOString(),
+    lang,
+    units,
+    unit_labels: UNIT_SYSTEMS[units].labels,
+    partial: results.some((result) => result.status === "rejected"),
+    comparison: {
+      rows,
+      warmest: extreme(rows, "temperature", (a, b) => a > b),
+      coldest: extreme(rows, "temperature", (a, b) => a < b),
+      wettest: extreme(rows, "precipitation_probability", (a, b) => a > b)
+    },
+    locations
+  };
 }
 
 export async function getWeather(query = {}) {
-  const city = clean(query.city);
-  const lat = validCoordinate(query.lat, -90, 90);
-  const lon = validCoordinate(query.lon, -180, 180);
-  const timezone = clean(query.tz) || DEFAULT_LOCATION.timezone;
-  const cacheKey = `altay-dashboard:weather:${city || `${lat ?? DEFAULT_LOCATION.lat},${lon ?? DEFAULT_LOCATION.lon}`}`;
-  const cached = await cacheGet(cacheKey);
-
-  if (cached && ageInSeconds(cached) < CACHE_TTL_SECONDS && query.fresh !== "1") {
-    return cached;
-  }
-
-  let location = DEFAULT_LOCATION;
-  if (lat != null && lon != null) {
-    location = { label: `${lat.toFixed(3)}, ${lon.toFixed(3)}`, lat, lon, timezone };
-  } else if (city) {
-    location = await geocode(city);
-  }
-
-  const params = new URLSearchParams({
-    latitude: String(location.lat),
-    longitude: String(location.lon),
-    timezone: location.timezone,
-    current: [
-      "temperature_2m", "apparent_temperature", "relative_humidity_2m",
-      "precipitation", "weather_code", "wind_speed_10m",
-      "wind_direction_10m", "pressure_msl", "is_day"
-    ].join(","),
-    hourly: [
-      "temperature_2m", "precipitation_probability", "weather_code", "wind_speed_10m"
-    ].join(","),
-    daily: [
-      "weather_code", "temperature_2m_max", "temperature_2m_min",
-      "precipitation_probability_max", "sunrise", "sunset"
-    ].join(","),
-    temperature_unit: "fahrenheit",
-    wind_speed_unit: "mph",
-    precipitation_unit: "inch",
-    forecast_days: "7"
-  });
+  const lang = resolveLang(query) || "en";
+  const units = resolveUnits(query) || "imperial";
+  const fresh = query.fresh === "1";
+  if (query.cities) return compareWeather(query, lang, units, fresh);
+
+  const location = await resolveLocation(query);
+  const [payload, additions] = await Promise.all([forecastFor(location, units, fresh), extras(location, fresh)]);
+  // Computed on every request rather than cached, so it follows the local date.
+  const astronomy = astronomyFor(payload.location, todayAt(payload.location));
+  return describe({ ...payload, ...additions, astronomy }, lang);
+}
 
-  try {
-    const data = await fetchJson(`https://api.open-meteo.com/v1/forecast?${params}`, {}, 5000);
-    if (!data?.current || !data?.daily) throw new Error("Weather response was incomplete");
-    const payload = {
-      updated_iso: new Date().toISOString(),
-      source: "Open-Meteo",
-      location,
-      current: data.current,
-      hourly: trimHourly(data.hourly, data.current.time),
-      daily: data.daily
-    };
-    await cacheSet(cacheKey, payload, 24 * 60 * 60);
-    return payload;
-  } catch (error) {
-    if (cached) return { ...cached, stale: true, error: error.message };
-    throw error;
-  }
+// Cache state of the home-location forecast, for /api/health.
+export async function weatherFreshness() {
+  const location = await resolveLocation({});
+  const cached = await cacheGet(forecastCacheKey(location, "imperial"));
+  return describeFreshness([cached], CACHE_TTL_SECONDS, STALE_TTL_SECONDS);
 }
@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { test } from "node:test";
+import { active, dedupe, normalizeAlert } from "../services/alerts.js";
+
+async function fixture(name) {
+  const data = JSON.parse(await readFile(new URL(`./fixtures/${name}`, import.meta.url), "utf8"));
+  return data.features.map(normalizeAlert).filter(Boolean);
+}
+
+test("normalizes CAP properties from an NWS feature", async () => {
+  const [warning] = await fixture("nws-update-chain.json");
+  assert.equal(warning.id, "urn:oid:2.49.0.1.840.0.6b2a3f1c9e0d4a1b8c7e5f3a2d1b0c9e8f7a6b5c.001.1");
+  assert.equal(warning.event, "Tornado Warning");
+  assert.equal(warning.severity, "Extreme");
+  assert.equal(warning.severity_rank, 4);
+  assert.equal(warning.urgency, "Immediate");
+  assert.equal(warning.certainty, "Observed");
+  assert.equal(warning.area, "Cook, IL");
+  assert.equal(warning.sender, "NWS Chicago IL");
+  assert.equal(warning.onset_iso, "2024-07-16T00:42:00.000Z");
+  assert.equal(warning.ends_iso, "2024-07-16T01:15:00.000Z");
+  assert.equal(warning.updated, false);
+  assert.deepEqual(warning.replaces, []);
+});
+
+test("normalizeAlert skips features without an id and maps unknown enums", () => {
+  assert.equal(normalizeAlert({ properties: {} }), null);
+  const alert = normalizeAlert({ properties: { id: "x", severity: "Catastrophic", urgency: "", certainty: null } });
+  assert.equal(alert.severity, "Unknown");
+  assert.equal(alert.severity_rank, 0);
+  assert.equal(alert.urgency, "Unknown");
+  assert.equal(alert.certainty, "Unknown");
+});
+
+test("an update chain collapses to its latest message and cancels vanish", async () => {
+  const alerts = dedupe(await fixture("nws-update-chain.json"));
+  assert.equal(alerts.length, 1);
+  const [latest] = alerts;
+  assert.equal(latest.id, "urn:oid:2.49.0.1.840.0.9f8e7d6c5b4a39281706f5e4d3c2b1a098765432.001.1");
+  assert.equal(latest.message_type, "Update");
+  assert.equal(latest.updated, true);
+  assert.equal(latest.replaces.length, 2);
+});
+
+test("reissues without references collapse and non-actual messages are dropped", async () => {
+  const alerts = dedupe(await fixture("nws-mixed-severity.json"));
+  assert.deepEqual(alerts.map((alert) => alert.event).sort(), ["Heat Advisory", "Severe Thunderstorm Watch", "Special Weather Statement"]);
+  const statement = alerts.find((alert) => alert.event === "Special Weather Statement");
+  assert.equal(statement.sent_iso, "2024-08-27T18:55:00.000Z");
+});
+
+test("active alerts sort by severity, then urgency, then onset", async () => {
+  const now = Date.parse("2024-08-27T19:10:00Z");
+  const alerts = active(dedupe(await fixture("nws-mixed-severity.json")), now);
+  assert.deepEqual(alerts.map((alert) => alert.severity), ["Severe", "Moderate", "Minor"]);
+  assert.deepEqual(alerts.map((alert) => alert.event), ["Severe Thunderstorm Watch", "Heat Advisory", "Special Weather Statement"]);
+});
+
+test("expiry follows ends when present and expires otherwise", async () => {
+  const now = Date.parse("2024-01-12T16:00:00Z");
+  const alerts = active(dedupe(await fixture("nws-expired.json")), now);
+  // The winter storm message has expired but the hazard runs until tomorrow;
+  // the wind advisory has ended and the gale warning has no ends and expired.
+  assert.deepEqual(alerts.map((alert) => alert.event), ["Winter Storm Warning"]);
+  assert.equal(active(dedupe(await fixture("nws-expired.json")), Date.parse("2024-01-13T13:00:00Z")).length, 0);
+});
@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { moonIllumination, sunTimes } from "../lib/astronomy.js";
+import { astronomyFor } from "../services/astronomy.js";
+
+const CHICAGO = { lat: 41.8781, lon: -87.6298, timezone: "America/Chicago" };
+const TROMSO = { lat: 69.6492, lon: 18.9553, timezone: "Europe/Oslo" };
+
+// Reference times are local wall clock from the USNO tables; the formulas are
+// good to a minute or two, so comparisons allow a few minutes either way.
+function assertNear(actual, expected, toleranceMinutes = 3) {
+  assert.ok(actual, `expected a time near ${expected}`);
+  const minutes = (Date.parse(`${actual}Z`) - Date.parse(`${expected}Z`)) / 60000;
+  assert.ok(Math.abs(minutes) <= toleranceMinutes, `${actual} is ${minutes.toFixed(1)} min from ${expected}`);
+}
+
+test("Chicago summer solstice", () => {
+  const { sun } = astronomyFor(CHICAGO, "2024-06-20");
+  assertNear(sun.sunrise, "2024-06-20T05:15");
+  assertNear(sun.sunset, "2024-06-20T20:29");
+  assertNear(sun.solar_noon, "2024-06-20T12:52");
+  assert.equal(sun.polar, null);
+  assert.ok(Math.abs(sun.day_length_sec - (15 * 3600 + 14 * 60)) <= 180);
+  assert.ok(Math.abs(sun.noon_altitude_deg - 71.6) <= 0.3);
+});
+
+test("Chicago winter solstice", () => {
+  const { sun } = astronomyFor(CHICAGO, "2024-12-21");
+  assertNear(sun.sunrise, "2024-12-21T07:15");
+  assertNear(sun.sunset, "2024-12-21T16:23");
+  assert.ok(Math.abs(sun.day_length_sec - (9 * 3600 + 8 * 60)) <= 180);
+  assert.ok(Math.abs(sun.day_length_change_sec) < 10);
+});
+
+test("Chicago equinox days lengthen by about 2.8 minutes", () => {
+  const { sun } = astronomyFor(CHICAGO, "2024-03-20");
+  assertNear(sun.sunrise, "2024-03-20T06:55");
+  assertNear(sun.sunset, "2024-03-20T19:03");
+  assert.ok(sun.day_length_change_sec > 150 && sun.day_length_change_sec < 190);
+});
+
+test("local times follow the DST change", () => {
+  const { sun } = astronomyFor(CHICAGO, "2024-11-03");
+  assertNear(sun.sunrise, "2024-11-03T06:26");
+  assertNear(sun.sunset, "2024-11-03T16:42");
+});
+
+test("twilight and golden hour are ordered around sunrise and sunset", () => {
+  const { sun } = astronomyFor(CHICAGO, "2024-06-20");
+  const order = [
+    sun.nautical_twilight.begin, sun.civil_twilight.begin, sun.sunrise, sun.golden_hour.morning.end,
+    sun.golden_hour.evening.begin, sun.sunset, sun.civil_twilight.end, sun.nautical_twilight.end
+  ];
+  assert.deepEqual([...order].sort(), order);
+  assertNear(sun.civil_twilight.begin, "2024-06-20T04:42");
+  assertNear(sun.civil_twilight.end, "2024-06-20T21:03");
+});
+
+test("Tromsø has polar day at midsummer", () => {
+  const { sun } = astronomyFor(TROMSO, "2024-06-21");
+  assert.equal(sun.polar, "day");
+  assert.equal(sun.sunrise, null);
+  assert.equal(sun.sunset, null);
+  assert.equal(sun.day_length_sec, 24 * 60 * 60);
+});
+
+test("Tromsø has polar night at midwinter with civil twilight around noon", () => {
+  const { sun } = astronomyFor(TROMSO, "2024-12-21");
+  assert.equal(sun.polar, "night");
+  assert.equal(sun.day_length_sec, 0);
+  assert.ok(sun.noon_altitude_deg < 0 && sun.noon_altitude_deg > -6);
+  assert.ok(sun.civil_twilight.begin < sun.solar_noon && sun.solar_noon < sun.civil_twilight.end);
+  assert.equal(sun.golden_hour.morning.begin, null);
+});
+
+test("moon phase on known new and full moons", () => {
+  const eclipse = astronomyFor(CHICAGO, "2024-04-08").moon;
+  assert.equal(eclipse.phase_name, "New moon");
+  assert.ok(eclipse.illumination < 0.01);
+  assertNear(eclipse.moonrise, "2024-04-08T06:22", 5);
+  assertNear(eclipse.moonset, "2024-04-08T19:45", 5);
+
+  const full = astronomyFor(CHICAGO, "2024-04-23").moon;
+  assert.equal(full.phase_name, "Full moon");
+  assert.ok(full.illumination > 0.99);
+});
+
+test("illumination at a first quarter is about half", () => {
+  const { fraction, phase } = moonIllumination(new Date("2024-04-15T19:13:00Z"));
+  assert.ok(Math.abs(fraction - 0.5) < 0.03);
+  assert.ok(Math.abs(phase - 0.25) < 0.02);
+});
+
+test("sunTimes reports the solar noon altitude from latitude and declination", () => {
+  const sun = sunTimes(new Date("2024-03-20T18:00:00Z"), CHICAGO.lat, CHICAGO.lon);
+  assert.ok(Math.abs(sun.noonAltitude - (90 - CHICAGO.lat)) < 0.5);
+});